@@ -0,0 +1,60 @@
+// Message protocol shared by the AR scenes and the React app (src/arBridge.js).
+// Scenes are always served from the app's own origin, so every message is
+// posted to and accepted from `location.origin` only.
+//
+//   scene  -> app    { type: "ready" }                  scene is listening
+//   app    -> scene  { type: "ack", payload: {type} }   app saw "ready"
+//   app    -> scene  { type: "clips", payload: [...] }  room clips
+//   app    -> scene  { type: "experience", payload }    selected experience
+//   app    -> scene  { type: "edit", payload: {enabled, clipIds} } placement
+//                    mode for the clips in clipIds (null: every clip)
+//   app    -> scene  { type: "marker", payload: {type, size, patternUrl} }
+//   app    -> scene  { type: "experiences", payload: [...] } room experiences
+//   app    -> scene  { type: "model", payload: {url, scale, animation} }
+//   scene  -> app    { type: "model-info", payload: {size, animations} }
+//   scene  -> app    { type: "placement", payload: {clipId, placement} }
+//   app    -> scene  { type: "tour", payload: {id, title, stops} | null }
+//   app    -> scene  { type: "tour-go", payload: {index} }
+//   scene  -> app    { type: "tour-step", payload: {tourId, index, count, phase} }
+//   both             { type: "ack", id, payload: {type} }
+(function () {
+  const CHANNEL = "unwritten-ar";
+  const TYPES = {
+    READY: "ready",
+    CLIPS: "clips",
+    EXPERIENCE: "experience",
+    EDIT: "edit",
+    MARKER: "marker",
+    EXPERIENCES: "experiences",
+    MODEL: "model",
+    MODEL_INFO: "model-info",
+    PLACEMENT: "placement",
+    TOUR: "tour",
+    TOUR_GO: "tour-go",
+    TOUR_STEP: "tour-step",
+    ACK: "ack",
+  };
+
+  function send(type, payload, id) {
+    if (window.parent === window) return;
+    window.parent.postMessage(
+      { channel: CHANNEL, type, id, payload },
+      location.origin
+    );
+  }
+
+  // handlers: { [type]: (payload, message) => void }
+  function listen(handlers) {
+    window.addEventListener("message", (ev) => {
+      if (ev.origin !== location.origin) return;
+      if (ev.source !== window.parent) return;
+      const msg = ev.data;
+      if (!msg || msg.channel !== CHANNEL) return;
+      const fn = handlers[msg.type];
+      if (fn) fn(msg.payload, msg);
+      if (msg.type !== TYPES.ACK) send(TYPES.ACK, { type: msg.type }, msg.id);
+    });
+  }
+
+  window.UnwrittenBridge = { CHANNEL, TYPES, send, listen };
+})();
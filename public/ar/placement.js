@@ -0,0 +1,165 @@
+// Surface placement shared by experience.html and ar-scene-floor.html.
+//
+// The core (`createPlacement`) only talks to the WebXR API surface it is
+// given, so it can be driven with a mocked XRSession/XRFrame:
+//
+//   const p = createPlacement({ onReticle, onPlace, fallback });
+//   await p.start(session, refSpace); // -> true when hit-test is available
+//   p.update(frame);                  // once per XR frame
+//   p.select();                       // user tapped
+//   p.stop();
+//
+// Without hit-test (no session, feature not granted, desktop preview) every
+// select() places at `fallback()`, i.e. the old camera forward offset.
+(function (global) {
+  function createPlacement({ onReticle, onPlace, fallback }) {
+    let session = null;
+    let refSpace = null;
+    let source = null;
+    let lastHit = null; // { position: {x,y,z}, orientation: {x,y,z,w} }
+    let onSelect = null;
+
+    function setHit(hit) {
+      const had = !!lastHit;
+      lastHit = hit;
+      if (hit || had) onReticle?.(hit);
+    }
+
+    async function start(xrSession, xrRefSpace) {
+      stop();
+      if (!xrSession || typeof xrSession.requestHitTestSource !== "function")
+        return false;
+      try {
+        const viewer = await xrSession.requestReferenceSpace("viewer");
+        source = await xrSession.requestHitTestSource({ space: viewer });
+      } catch {
+        source = null;
+        return false;
+      }
+      session = xrSession;
+      refSpace = xrRefSpace;
+      onSelect = () => select();
+      session.addEventListener("select", onSelect);
+      return true;
+    }
+
+    function update(frame) {
+      if (!source || !frame || !refSpace) return;
+      const results = frame.getHitTestResults(source);
+      const pose = results.length ? results[0].getPose(refSpace) : null;
+      if (!pose) return setHit(null);
+      const { position: p, orientation: o } = pose.transform;
+      setHit({
+        position: { x: p.x, y: p.y, z: p.z },
+        orientation: { x: o.x, y: o.y, z: o.z, w: o.w },
+      });
+    }
+
+    function select() {
+      if (lastHit) {
+        onPlace?.(lastHit.position, lastHit.orientation, true);
+        return;
+      }
+      const pos = fallback?.();
+      if (pos) onPlace?.(pos, null, false);
+    }
+
+    function stop() {
+      if (session && onSelect) session.removeEventListener("select", onSelect);
+      try {
+        source?.cancel();
+      } catch {}
+      session = refSpace = source = onSelect = null;
+      setHit(null);
+    }
+
+    return {
+      start,
+      update,
+      select,
+      stop,
+      get hasHitTest() {
+        return !!source;
+      },
+      get lastHit() {
+        return lastHit;
+      },
+    };
+  }
+
+  const api = { createPlacement };
+  if (typeof module !== "undefined" && module.exports) module.exports = api;
+  global.UnwrittenPlacement = api;
+
+  if (!global.AFRAME) return;
+
+  // A-Frame wrapper. Put it on <a-scene>; it shows a reticle on detected
+  // surfaces and emits `placement` ({ position, orientation, onSurface })
+  // on tap. Outside an AR session taps fall back to `distance` metres in
+  // front of the camera.
+  global.AFRAME.registerComponent("hit-test-placement", {
+    schema: {
+      distance: { default: 0.9 },
+      reticle: { type: "selector" },
+    },
+
+    init() {
+      this.placement = createPlacement({
+        onReticle: (hit) => this.showReticle(hit),
+        onPlace: (position, orientation, onSurface) =>
+          this.el.emit("placement", { position, orientation, onSurface }),
+        fallback: () => this.forwardOffset(),
+      });
+      this.onEnter = () => this.enter();
+      this.onExit = () => this.placement.stop();
+      // Outside XR (or before hit-test is up) a plain tap still places
+      this.onClick = () => {
+        if (!this.placement.hasHitTest) this.placement.select();
+      };
+      this.el.addEventListener("enter-vr", this.onEnter);
+      this.el.addEventListener("exit-vr", this.onExit);
+      document.body.addEventListener("click", this.onClick);
+    },
+
+    remove() {
+      this.el.removeEventListener("enter-vr", this.onEnter);
+      this.el.removeEventListener("exit-vr", this.onExit);
+      document.body.removeEventListener("click", this.onClick);
+      this.placement.stop();
+    },
+
+    async enter() {
+      if (!this.el.is("ar-mode")) return;
+      const xr = this.el.renderer.xr;
+      const ok = await this.placement.start(
+        xr.getSession(),
+        xr.getReferenceSpace()
+      );
+      this.el.emit("placement-mode", { hitTest: ok });
+    },
+
+    tick() {
+      if (this.placement.hasHitTest) this.placement.update(this.el.frame);
+    },
+
+    showReticle(hit) {
+      const r = this.data.reticle;
+      if (!r) return;
+      r.object3D.visible = !!hit;
+      if (!hit) return;
+      const { position: p, orientation: o } = hit;
+      r.object3D.position.set(p.x, p.y, p.z);
+      r.object3D.quaternion.set(o.x, o.y, o.z, o.w);
+    },
+
+    forwardOffset() {
+      const cam = this.el.camera;
+      if (!cam) return null;
+      const pos = cam.getWorldPosition(new THREE.Vector3());
+      const dir = new THREE.Vector3(0, 0, -1).applyQuaternion(
+        cam.getWorldQuaternion(new THREE.Quaternion())
+      );
+      return pos.add(dir.multiplyScalar(this.data.distance));
+    },
+  });
+})(typeof window !== "undefined" ? window : globalThis);
@@ -0,0 +1,279 @@
+// Story renderers shared by the AR pages (ar-scene-floor.html, index.html).
+// Classic script: registers the `billboard`/`floaty`/`captions` components
+// and exposes window.UnwrittenStories.
+(function () {
+  // Billboard: face camera each frame
+  AFRAME.registerComponent("billboard", {
+    tick: function () {
+      const cam = this.el.sceneEl.camera;
+      if (!cam) return;
+      const v = cam.getWorldPosition(new THREE.Vector3());
+      this.el.object3D.lookAt(v);
+    },
+  });
+
+  // Gentle float anim on child
+  AFRAME.registerComponent("floaty", {
+    init() {
+      this.el.setAttribute("animation__y", {
+        property: "position",
+        to: "0 0.05 0",
+        dir: "alternate",
+        dur: 1500,
+        loop: true,
+        easing: "easeInOutSine",
+      });
+      this.el.setAttribute("animation__fade", {
+        property: "material.opacity",
+        to: 0.9,
+        dir: "alternate",
+        dur: 2200,
+        loop: true,
+        easing: "easeInOutSine",
+      });
+    },
+  });
+
+  // "00:01:02.500" -> 62.5
+  const vttTime = (t) =>
+    t
+      .split(":")
+      .reverse()
+      .reduce((sum, part, i) => sum + Number(part) * 60 ** i, 0);
+
+  // Cues of a clip's WebVTT `captions` (see src/transcription)
+  function parseVtt(vtt) {
+    return (vtt || "")
+      .split(/\r?\n\r?\n/)
+      .map((block) => {
+        const lines = block.split(/\r?\n/);
+        const at = lines.findIndex((l) => l.includes("-->"));
+        if (at < 0) return null;
+        const [from, to] = lines[at].split("-->").map((s) => s.trim());
+        return {
+          start: vttTime(from),
+          end: vttTime(to.split(/\s/)[0]),
+          text: lines.slice(at + 1).join("\n"),
+        };
+      })
+      .filter(Boolean);
+  }
+
+  // Playback position (s) of a `sound` entity, null when silent
+  function soundTime(el) {
+    const audio = el.components.sound?.pool?.children[0];
+    if (!audio?.isPlaying || !audio.buffer) return null;
+    const t =
+      audio._progress +
+      (audio.context.currentTime - audio._startedAt) * audio.playbackRate;
+    return t % audio.buffer.duration;
+  }
+
+  // Playback position (s) of an `a-video`, null when paused
+  function videoTime(el) {
+    const video = el.components.material?.material?.map?.image;
+    return video && !video.paused ? video.currentTime : null;
+  }
+
+  // Text entity showing the cue being spoken. Cues and the clock are set
+  // as properties (VTT doesn't survive attribute parsing):
+  //   el.captionCues = [{ start, end, text }], el.captionTime = () => s
+  // Between cues it shows `idle`.
+  AFRAME.registerComponent("captions", {
+    schema: { idle: { default: "" } },
+    tick() {
+      const t = this.el.captionTime?.();
+      const cue =
+        t == null
+          ? null
+          : (this.el.captionCues || []).find((c) => t >= c.start && t < c.end);
+      const value = cue ? cue.text : this.data.idle;
+      if (value === this.shown) return;
+      this.shown = value;
+      this.el.setAttribute("text", "value", value);
+    },
+  });
+
+  function captionsFor(c, source, clock, position, idle) {
+    const cues = parseVtt(c.captions);
+    if (!cues.length) return null;
+    const t = document.createElement("a-entity");
+    t.setAttribute("text", {
+      value: idle,
+      align: "center",
+      color: "#f3f4f6",
+      width: 1.4,
+      wrapCount: 28,
+      shader: "msdf",
+    });
+    t.setAttribute("position", position);
+    t.captionCues = cues;
+    t.captionTime = () => clock(source);
+    t.setAttribute("captions", { idle });
+    return t;
+  }
+
+  // Entity for clip `c` (index i of count), positioned relative to the
+  // room origin it gets appended to: at its saved `placement`
+  // ({ offset: {x,y,z}, rotation: {x,y,z} in degrees, scale }) or on
+  // the default ring. With `once` (tours) sound and video play through
+  // a single time instead of looping.
+  function buildClip(c, i, count, { once = false } = {}) {
+    const anchor = document.createElement("a-entity");
+    anchor.dataset.clipId = c.id;
+    const pl = c.placement;
+    if (pl?.offset) {
+      const r = pl.rotation || {};
+      anchor.setAttribute(
+        "position",
+        `${pl.offset.x} ${pl.offset.y} ${pl.offset.z}`
+      );
+      anchor.setAttribute("rotation", `${r.x || 0} ${r.y || 0} ${r.z || 0}`);
+      const sc = pl.scale || 1;
+      anchor.setAttribute("scale", `${sc} ${sc} ${sc}`);
+    } else {
+      const angle = (i / Math.max(1, count)) * Math.PI * 2;
+      const r = 0.6;
+      anchor.setAttribute(
+        "position",
+        `${Math.cos(angle) * r} 0 ${Math.sin(angle) * r}`
+      );
+    }
+
+    const wrap = document.createElement("a-entity");
+    // authored rotation wins over facing the viewer
+    if (!pl?.offset) wrap.setAttribute("billboard", "");
+    wrap.setAttribute("floaty", "");
+
+    // Subtle base ring
+    const base = document.createElement("a-ring");
+    base.setAttribute("radius-inner", "0.18");
+    base.setAttribute("radius-outer", "0.22");
+    base.setAttribute("rotation", "-90 0 0");
+    base.setAttribute("position", "0 0.01 0");
+    base.setAttribute(
+      "material",
+      "color: #cfd3de; opacity: 0.25; transparent: true"
+    );
+    wrap.appendChild(base);
+
+    if (c.type === "glb") {
+      const e = document.createElement("a-entity");
+      e.setAttribute("gltf-model", c.url);
+      e.setAttribute("position", "0 0.1 0");
+      const sc = c.scale || 0.6;
+      e.setAttribute("scale", `${sc} ${sc} ${sc}`);
+      e.setAttribute(
+        "animation__spin",
+        "property: rotation; to: 0 360 0; loop: true; dur: 16000; easing: linear"
+      );
+      wrap.appendChild(e);
+    } else if (c.type === "video") {
+      const v = document.createElement("a-video");
+      v.setAttribute("src", c.url);
+      v.setAttribute("width", "0.6");
+      v.setAttribute("height", "0.35");
+      v.setAttribute("position", "0 0.35 0");
+      v.setAttribute("loop", String(!once));
+      v.setAttribute("autoplay", "true");
+      v.setAttribute("material", "opacity: 0.92; transparent: true");
+      wrap.appendChild(v);
+      const cc = captionsFor(c, v, videoTime, "0 0.12 0", "");
+      if (cc) wrap.appendChild(cc);
+    } else if (c.type === "audio") {
+      // Spatialized sound with gentle falloff
+      const el = document.createElement("a-entity");
+      el.setAttribute(
+        "sound",
+        `src: url(${c.url}); autoplay: true; loop: ${!once}; positional: true; distanceModel: linear; refDistance: 0.6; rolloffFactor: 2.0; maxDistance: 6`
+      );
+      el.setAttribute("position", "0 0.2 0");
+      wrap.appendChild(el);
+
+      // What's being said, or a minimal label without a transcript
+      const cc = captionsFor(c, el, soundTime, "0 0.35 0", "voice note");
+      if (cc) {
+        wrap.appendChild(cc);
+      } else {
+        const t = document.createElement("a-entity");
+        t.setAttribute("text", {
+          value: "voice note",
+          align: "center",
+          color: "#e7e7ea",
+          width: 1.8,
+          shader: "msdf",
+        });
+        t.setAttribute("position", "0 0.35 0");
+        t.setAttribute("opacity", "0.75");
+        wrap.appendChild(t);
+      }
+    } else if (c.type === "text" && c.text) {
+      // Floating poem/text snippet
+      const t = document.createElement("a-entity");
+      t.setAttribute("text", {
+        value: c.text,
+        align: "center",
+        color: "#f3f4f6",
+        width: 2.2,
+        lineHeight: 1.2,
+        wrapCount: 24,
+        shader: "msdf",
+      });
+      t.setAttribute("position", "0 0.42 0");
+      t.setAttribute("opacity", "0.85");
+      t.setAttribute("floaty", "");
+      wrap.appendChild(t);
+    }
+
+    anchor.appendChild(wrap);
+    return anchor;
+  }
+
+  // Flat stand-in for an `experiences` doc next to the stories: GLB (+
+  // audio) or its video as a screen. External experiences can't be shown.
+  function buildExperience(exp, { once = false } = {}) {
+    if (!exp || exp.externalUrl) return null;
+    const wrap = document.createElement("a-entity");
+    wrap.dataset.experienceId = exp.id;
+    if (exp.glbUrl) {
+      const e = document.createElement("a-entity");
+      e.setAttribute("gltf-model", exp.glbUrl);
+      e.setAttribute("scale", exp.scale || "1 1 1");
+      wrap.appendChild(e);
+      if (exp.audioUrl) {
+        const s = document.createElement("a-entity");
+        s.setAttribute(
+          "sound",
+          `src: url(${exp.audioUrl}); autoplay: true; loop: ${!once}; positional: true; distanceModel: linear; refDistance: 0.6; rolloffFactor: 1.8; maxDistance: 10`
+        );
+        s.setAttribute("position", "0 0.2 0");
+        wrap.appendChild(s);
+      }
+    } else if (exp.videoUrl) {
+      const v = document.createElement("a-video");
+      v.setAttribute("src", exp.videoUrl);
+      v.setAttribute("width", "0.8");
+      v.setAttribute("height", "0.45");
+      v.setAttribute("position", "0 0.3 0");
+      v.setAttribute("loop", String(!once));
+      v.setAttribute("autoplay", "true");
+      wrap.appendChild(v);
+    }
+    if (exp.title) {
+      const t = document.createElement("a-entity");
+      t.setAttribute("text", {
+        value: exp.title,
+        align: "center",
+        color: "#f3f4f6",
+        width: 1.6,
+        shader: "msdf",
+      });
+      t.setAttribute("position", "0 0.65 0");
+      t.setAttribute("billboard", "");
+      wrap.appendChild(t);
+    }
+    return wrap;
+  }
+
+  window.UnwrittenStories = { buildClip, buildExperience };
+})();
@@ -0,0 +1,188 @@
+// Tour playback shared by the AR pages (ar-scene-floor.html, index.html):
+// one stop at a time, its narration first, then its story played once,
+// moving on when the story ends. Classic script, loaded after stories.js;
+// exposes window.UnwrittenTour.
+//
+// A tour payload (see src/tours.js) is
+//   { id, title, stops: [{ key, narration, clip | experience }] }
+(function () {
+  const { buildClip, buildExperience } = window.UnwrittenStories;
+
+  const STILL_SECONDS = 12; // models and experiences without sound
+  const SLACK_SECONDS = 3; // past a clip's known length before moving on
+  const MAX_SECONDS = 180; // media of unknown length (or that never loads)
+
+  // Seconds to read `text` comfortably
+  const readingTime = (text) =>
+    Math.min(20, Math.max(5, (text || "").split(/\s+/).length * 0.4));
+
+  // Longest a stop's story stays up when no "ended" event comes first
+  function dwell(stop) {
+    const c = stop.clip;
+    if (c?.type === "text") return readingTime(c.text);
+    if (c?.type === "glb") return STILL_SECONDS;
+    if (c) return c.duration ? c.duration + SLACK_SECONDS : MAX_SECONDS;
+    const ex = stop.experience;
+    return ex.videoUrl || ex.audioUrl ? MAX_SECONDS : STILL_SECONDS;
+  }
+
+  // Story at its saved placement, else right at the room origin
+  function buildStop(stop) {
+    if (stop.experience)
+      return buildExperience(stop.experience, { once: true });
+    const el = buildClip(stop.clip, 0, 1, { once: true });
+    if (!stop.clip.placement) el.setAttribute("position", "0 0 0");
+    return el;
+  }
+
+  function textCard(value) {
+    const t = document.createElement("a-entity");
+    t.setAttribute("text", {
+      value,
+      align: "center",
+      color: "#f3f4f6",
+      width: 1.6,
+      wrapCount: 26,
+      shader: "msdf",
+    });
+    t.setAttribute("position", "0 0.45 0");
+    t.setAttribute("billboard", "");
+    return t;
+  }
+
+  // ◀ "2/5 · Title" ▶ over the camera view. Taps on it must not reach
+  // the scene, where they would place the room.
+  function createControls(onStep) {
+    const bar = document.createElement("div");
+    bar.style.cssText =
+      "position:fixed;top:52px;left:50%;transform:translateX(-50%);" +
+      "display:none;align-items:center;gap:8px;z-index:4;padding:6px;" +
+      "border-radius:999px;background:rgba(15,17,21,0.75);color:#e7e7ea;" +
+      "font:14px/1.2 system-ui,sans-serif;max-width:92vw";
+    const button = (text, step) => {
+      const b = document.createElement("button");
+      b.textContent = text;
+      b.style.cssText =
+        "border:none;border-radius:999px;padding:8px 12px;" +
+        "background:#242836;color:#fff;font-weight:700";
+      b.addEventListener("click", (ev) => {
+        ev.stopPropagation();
+        onStep(step);
+      });
+      return b;
+    };
+    const label = document.createElement("span");
+    label.style.cssText =
+      "overflow:hidden;text-overflow:ellipsis;white-space:nowrap";
+    bar.append(button("◀", -1), label, button("▶", 1));
+    bar.addEventListener("beforexrselect", (ev) => ev.preventDefault());
+    document.body.appendChild(bar);
+
+    return {
+      show(text) {
+        label.textContent = text;
+        bar.style.display = "flex";
+      },
+      hide() {
+        bar.style.display = "none";
+      },
+    };
+  }
+
+  // `onStep({ tourId, index, count, phase })` follows playback; phase is
+  // "narration", "story" or "done". The scene appends `player.el` to its
+  // room origin while `player.active`.
+  function createPlayer({ onStep }) {
+    const el = document.createElement("a-entity");
+    let tour = null;
+    let index = 0;
+    let phase = null;
+    let timer = null;
+    const controls = createControls((step) => go(index + step));
+
+    function clear() {
+      clearTimeout(timer);
+      while (el.firstChild) el.removeChild(el.firstChild);
+    }
+
+    function report() {
+      const count = tour.stops.length;
+      controls.show(
+        phase === "done"
+          ? `End · ${tour.title}`
+          : `${index + 1}/${count} · ${tour.title}`
+      );
+      onStep?.({ tourId: tour.id, index, count, phase });
+    }
+
+    function show(i, narrate = true) {
+      clear();
+      index = i;
+      const stop = tour.stops[i];
+      if (narrate && stop.narration) {
+        phase = "narration";
+        el.appendChild(textCard(stop.narration));
+        timer = setTimeout(
+          () => show(i, false),
+          readingTime(stop.narration) * 1000
+        );
+      } else {
+        phase = "story";
+        const story = buildStop(stop);
+        let ended = false;
+        const next = () => {
+          if (ended) return;
+          ended = true;
+          advance();
+        };
+        // both bubble up from the sound/video inside the story
+        story.addEventListener("sound-ended", next);
+        story.addEventListener("materialvideoended", next);
+        timer = setTimeout(next, dwell(stop) * 1000);
+        el.appendChild(story);
+      }
+      report();
+    }
+
+    function advance() {
+      if (index + 1 < tour.stops.length) return show(index + 1);
+      clear();
+      phase = "done";
+      el.appendChild(textCard(`End of “${tour.title}”`));
+      report();
+    }
+
+    function go(i) {
+      if (!tour || !Number.isInteger(i)) return;
+      show(Math.max(0, Math.min(tour.stops.length - 1, i)));
+    }
+
+    return {
+      el,
+      get active() {
+        return !!tour;
+      },
+      // null (or a tour without stops) ends the tour. The same tour again,
+      // e.g. after the room's stories changed, keeps its place.
+      load(next) {
+        const same =
+          tour &&
+          next &&
+          next.id === tour.id &&
+          JSON.stringify(next.stops) === JSON.stringify(tour.stops);
+        if (same) return;
+        const resume = tour && next && next.id === tour.id;
+        clear();
+        tour = next?.stops?.length ? next : null;
+        if (!tour) {
+          controls.hide();
+          return;
+        }
+        show(resume ? Math.min(index, tour.stops.length - 1) : 0);
+      },
+      go,
+    };
+  }
+
+  window.UnwrittenTour = { createPlayer };
+})();
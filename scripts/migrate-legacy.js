@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+// One-off migration for data written before rooms, owners and moderation
+// (src/rooms.js, src/moderation.js):
+//
+// - stories without a `status` were public, so they're marked approved
+// - rooms that only exist through their stories (like "demo-room", where
+//   everything used to go) get a `rooms/{roomId}` doc owned by --owner,
+//   and room docs without an owner get --owner (the app can't claim them)
+// - access codes from before code versions get a version and key doc,
+//   and memberships that stored the code itself are deleted (visitors
+//   enter the code again)
+//
+// Runs with admin credentials, which the security rules don't apply to:
+//
+//   GOOGLE_APPLICATION_CREDENTIALS=service-account.json \
+//     node scripts/migrate-legacy.js --project <projectId> \
+//       --owner <uid> [--dry-run]
+//
+// Against the emulators, set FIRESTORE_EMULATOR_HOST=localhost:8080
+// instead of credentials. Safe to run again; it only fills in what's
+// missing.
+import { randomBytes } from "node:crypto";
+import { initializeApp } from "firebase-admin/app";
+import { FieldValue, getFirestore } from "firebase-admin/firestore";
+
+const STORY_COLLECTIONS = ["clips", "experiences"];
+const BATCH_SIZE = 400;
+
+// ROOM_DEFAULTS in src/rooms.js
+const ROOM_DEFAULTS = {
+  title: "",
+  description: "",
+  visibility: "public",
+  moderation: "open",
+  maxClipSeconds: 180,
+};
+
+const randomToken = () => randomBytes(16).toString("hex");
+
+function parseArgs(argv) {
+  const args = { dryRun: false, project: process.env.GCLOUD_PROJECT };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--dry-run") args.dryRun = true;
+    else if (argv[i] === "--project") args.project = argv[++i];
+    else if (argv[i] === "--owner") args.owner = argv[++i];
+    else throw new Error(`Unknown argument "${argv[i]}"`);
+  }
+  if (!args.project) throw new Error("Pass --project <projectId>");
+  return args;
+}
+
+// Applies [ref, data] merges (data null: delete) in batches; only counts
+// them on a dry run
+async function writeAll(db, writes, dryRun) {
+  if (dryRun) return writes.length;
+  for (let i = 0; i < writes.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    writes
+      .slice(i, i + BATCH_SIZE)
+      .forEach(([ref, data]) =>
+        data ? batch.set(ref, data, { merge: true }) : batch.delete(ref)
+      );
+    await batch.commit();
+  }
+  return writes.length;
+}
+
+// Firestore can't query for a missing field, so every story is read
+async function backfillStatus(db, dryRun) {
+  const writes = [];
+  for (const name of STORY_COLLECTIONS) {
+    const snap = await db.collection(name).get();
+    snap.docs
+      .filter((d) => d.get("status") === undefined)
+      .forEach((d) => writes.push([d.ref, { status: "approved" }]));
+  }
+  return writeAll(db, writes, dryRun);
+}
+
+// Room IDs that stories point at but that have no room doc
+async function roomsWithoutDocs(db) {
+  const ids = new Set();
+  for (const name of STORY_COLLECTIONS) {
+    const snap = await db.collection(name).select("roomId").get();
+    snap.docs.forEach((d) => {
+      if (typeof d.get("roomId") === "string") ids.add(d.get("roomId"));
+    });
+  }
+  const missing = [];
+  for (const id of ids)
+    if (!(await db.doc(`rooms/${id}`).get()).exists) missing.push(id);
+  return missing;
+}
+
+// Room docs written before rooms had owners
+async function roomsWithoutOwners(db) {
+  const snap = await db.collection("rooms").get();
+  return snap.docs.filter((d) => !d.get("ownerUid")).map((d) => d.id);
+}
+
+async function assignOwners(db, missing, ownerless, owner, dryRun) {
+  const writes = [
+    ...missing.map((id) => [
+      db.doc(`rooms/${id}`),
+      {
+        ...ROOM_DEFAULTS,
+        title: id,
+        ownerUid: owner,
+        createdAt: FieldValue.serverTimestamp(),
+      },
+    ]),
+    ...ownerless.map((id) => [db.doc(`rooms/${id}`), { ownerUid: owner }]),
+  ];
+  return writeAll(db, writes, dryRun);
+}
+
+// Secrets without a codeVersion, and memberships that kept the code
+async function upgradeAccessCodes(db, dryRun) {
+  const writes = [];
+  const secrets = await db.collection("roomSecrets").get();
+  for (const s of secrets.docs) {
+    const code = s.get("accessCode");
+    if (s.get("codeVersion") || !code) continue;
+    const codeVersion = randomToken();
+    writes.push(
+      [s.ref, { codeVersion }],
+      [
+        db.doc(`rooms/${s.id}/keys/${encodeURIComponent(code)}`),
+        { codeVersion },
+      ],
+      [db.doc(`rooms/${s.id}`), { accessRevision: randomToken() }]
+    );
+  }
+  const members = await db.collection("roomMembers").get();
+  members.docs
+    .filter((m) => m.get("accessCode") !== undefined || !m.get("codeVersion"))
+    .forEach((m) => writes.push([m.ref, null]));
+  return writeAll(db, writes, dryRun);
+}
+
+async function main() {
+  const { project, owner, dryRun } = parseArgs(process.argv.slice(2));
+  const db = getFirestore(initializeApp({ projectId: project }));
+  const verb = dryRun ? "would write" : "wrote";
+
+  const missing = await roomsWithoutDocs(db);
+  const ownerless = await roomsWithoutOwners(db);
+  const unowned = [...missing, ...ownerless];
+  if (unowned.length && !owner)
+    throw new Error(
+      `These rooms need an owner: ${unowned.join(", ")}. ` +
+        "Pass --owner <uid> (Authentication → Users in the console)."
+    );
+  const rooms = await assignOwners(db, missing, ownerless, owner, dryRun);
+  console.log(`${verb} ${rooms} room owners`);
+  console.log(`${verb} ${await backfillStatus(db, dryRun)} stories' status`);
+  console.log(`${verb} ${await upgradeAccessCodes(db, dryRun)} access changes`);
+}
+
+main().catch((e) => {
+  console.error(e.message);
+  process.exit(1);
+});
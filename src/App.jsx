@@ -1,33 +1,120 @@
 import React, { useEffect, useRef, useState } from "react";
 import { motion, AnimatePresence } from "framer-motion";
-import { db, storage } from "./firebaseConfig";
+import { backend } from "./backend";
+import { configProblems } from "./firebaseConfig";
+import { configProblems as transcriptionProblems } from "./transcription";
+import SetupScreen from "./SetupScreen";
+import UploadProgress from "./UploadProgress";
+import { useUploadTask, validateMedia } from "./uploads";
 import {
-  collection,
-  query,
-  where,
-  getDocs,
-  addDoc,
-  serverTimestamp,
-  orderBy,
-} from "firebase/firestore";
-import { ref, uploadBytes, getDownloadURL } from "firebase/storage";
+  enqueue,
+  isNetworkError,
+  startOutboxSync,
+  submitEntry,
+  usePendingUploads,
+} from "./outbox";
 import AudioRecorder from "./AudioRecorder";
+import ExperienceForm from "./ExperienceForm";
+import RoomSetup from "./RoomSetup";
+import TextStoryForm from "./TextStoryForm";
+import MyStories from "./MyStories";
+import ModerationDashboard from "./ModerationDashboard";
+import ReportButton from "./ReportButton";
+import {
+  STATUS,
+  featuredFirst,
+  initialStatus,
+  isRoomOwner,
+} from "./moderation";
+import Gallery from "./Gallery";
+import ClipDetail from "./ClipDetail";
+import GlbPreview from "./GlbPreview";
+import VideoPreview from "./VideoPreview";
+import { inspectGlb, modelWarnings } from "./glbInfo";
+import { extensionFor, formatDuration, probeMedia } from "./mediaFormats";
+import { prepareVideo, stillsMedia } from "./mediaPipeline";
+import RoomForm from "./RoomForm";
+import RoomGate from "./RoomGate";
+import RoomPicker from "./RoomPicker";
+import { rememberRoom, useRoomAccess } from "./rooms";
+import TourBar from "./TourBar";
+import Tours from "./Tours";
+import { sceneTour } from "./tours";
+import SignIn from "./SignIn";
+import { completeSignInLink, useAuth } from "./auth";
+import {
+  useRoom,
+  useRoomClips,
+  useRoomExperiences,
+  useRoomTours,
+} from "./useRoomData";
+import {
+  AR_MESSAGES,
+  toSceneClip,
+  toSceneExperience,
+  useArScene,
+} from "./arBridge";
 import jsQR from "jsqr";
-
-const SCREENS = {
-  HOME: "HOME",
-  SCAN: "SCAN",
-  VOICE: "VOICE",
-  SUBMIT: "SUBMIT",
-  IMMERSIVE: "IMMERSIVE",
-};
+import { parseQrPayload } from "./qrPayload";
+import { SCREENS, useRoute } from "./router";
+import { sceneMarker } from "./markers";
 
 export default function App() {
-  const [screen, setScreen] = useState(SCREENS.HOME);
-  const [roomId, setRoomId] = useState(
-    () => new URLSearchParams(location.search).get("room") || ""
-  );
+  // The local/memory backends need no Firebase project
+  const problems = [
+    ...(backend.name === "firebase" ? configProblems : []),
+    ...transcriptionProblems,
+  ];
+  if (problems.length) return <SetupScreen problems={problems} />;
+  return <MainApp />;
+}
+
+function MainApp() {
+  // screen, room and open experience all live in the URL (see router.js)
+  const [route, navigate] = useRoute();
+  const { screen, roomId, experienceId, clipId } = route;
+  const { user, ready: authReady } = useAuth();
+  // Opened from an email sign-in link? Finish signing in.
+  useEffect(() => {
+    completeSignInLink().catch((e) => alert("Sign-in failed: " + e.message));
+  }, []);
+  // Contributing needs a user; those screens show the sign-in card first
+  const needsUser = [
+    SCREENS.VOICE,
+    SCREENS.WRITE,
+    SCREENS.SUBMIT,
+    SCREENS.CREATE_EXPERIENCE,
+    SCREENS.MINE,
+    SCREENS.MODERATE,
+    SCREENS.CREATE_ROOM,
+  ].includes(screen);
+
+  // The room's own doc: card, owner and settings (see rooms.js)
+  const { room, loading: roomLoading } = useRoom(roomId);
+  const access = useRoomAccess(roomId, room, user);
+  // Room screens need a room that exists and, if private, the access code
+  const inRoom =
+    !!roomId && screen !== SCREENS.CREATE_ROOM && screen !== SCREENS.MINE;
+  const gated = inRoom && !roomLoading && (!room || !access.allowed);
+  // Nothing from a room is loaded before the visitor may see it
+  const dataRoomId = inRoom && room && access.allowed ? roomId : "";
+  useEffect(() => {
+    if (room) rememberRoom(roomId);
+  }, [room, roomId]);
+
+  const owner = isRoomOwner(room, user);
+
+  const shown =
+    needsUser && !user
+      ? authReady
+        ? "SIGN_IN"
+        : null
+      : gated && !access.loading
+      ? "ROOM_GATE"
+      : screen;
   const [cameraAllowed, setCameraAllowed] = useState(false);
+  // decoded code that needs the user's decision (external/unsupported)
+  const [scanResult, setScanResult] = useState(null);
 
   // SCAN (QR)
   const videoRef = useRef(null);
@@ -37,46 +124,89 @@ export default function App() {
 
   // upload form
   const [name, setName] = useState("");
-  const [email, setEmail] = useState("");
-  const [uploading, setUploading] = useState(false);
+  const upload = useUploadTask();
+  const uploading = upload.status === "uploading";
+  // queued offline submissions, sent in the background
+  const pending = usePendingUploads();
+  useEffect(() => startOutboxSync(), []);
   const [videoFile, setVideoFile] = useState(null);
   const [glbFile, setGlbFile] = useState(null);
+  // size of the model in the AR scenes (stored on the clip)
+  const [glbScale, setGlbScale] = useState(0.6);
+  // re-encode the chosen video for phones, and how far along that is
+  const [shrinkVideo, setShrinkVideo] = useState(false);
+  const [shrinking, setShrinking] = useState(null);
 
-  // clip list
-  const [clips, setClips] = useState([]);
+  // live clip list (the gallery pages its own)
+  const {
+    items: clips,
+    loading: clipsLoading,
+    error: clipsError,
+  } = useRoomClips(shown === SCREENS.GALLERY ? "" : dataRoomId);
   // immersive experiences (GLB+audio or immersive video)
   const immersiveIframeRef = useRef(null);
-  const [experiences, setExperiences] = useState([]);
-  const [selectedExperience, setSelectedExperience] = useState(null);
-
-  const ensureRoom = () => {
-    if (!roomId.trim()) {
-      const fallback = "demo-room";
-      setRoomId(fallback);
-      history.replaceState({}, "", `/?room=${encodeURIComponent(fallback)}`);
-      return fallback;
-    }
-    return roomId.trim();
+  const {
+    items: experiences,
+    loading: experiencesLoading,
+    error: experiencesError,
+  } = useRoomExperiences(dataRoomId);
+  const selectedExperience = experienceId
+    ? experiences.find((e) => e.id === experienceId) || null
+    : null;
+  const immersiveScene = useArScene(immersiveIframeRef);
+  // tours: the one being taken in a scene, and how far along it is
+  const {
+    items: tours,
+    loading: toursLoading,
+    error: toursError,
+  } = useRoomTours(dataRoomId);
+  const [tourId, setTourId] = useState(null);
+  const [tourStep, setTourStep] = useState(null);
+  const onTourStep = (msg) => {
+    if (msg.type === AR_MESSAGES.TOUR_STEP) setTourStep(msg.payload || null);
   };
+  // floor scene ("Walk the room") fed with the room's clips
+  const floorIframeRef = useRef(null);
+  const [placing, setPlacing] = useState(false);
+  const floorScene = useArScene(floorIframeRef, async (msg) => {
+    onTourStep(msg);
+    if (msg.type !== AR_MESSAGES.PLACEMENT) return;
+    const { clipId, placement } = msg.payload || {};
+    if (!clipId || !placement) return;
+    try {
+      await backend.update("clips", clipId, { placement });
+    } catch (e) {
+      alert("Could not save placement: " + e.message);
+    }
+  });
 
-  // Load clips whenever room changes
-  useEffect(() => {
-    const rid = roomId.trim();
-    if (!rid) return;
-    (async () => {
-      const q = query(
-        collection(db, "clips"),
-        where("roomId", "==", rid),
-        orderBy("createdAt", "desc")
-      );
-      const snap = await getDocs(q);
-      setClips(snap.docs.map((d) => ({ id: d.id, ...d.data() })));
-    })();
-  }, [roomId]);
+  // marker mode: the room's printed marker is the origin (no hit-test needed)
+  const markerIframeRef = useRef(null);
+  const markerScene = useArScene(markerIframeRef, onTourStep);
+  const [markerConfig, setMarkerConfig] = useState(null);
+
+  // Open a screen of the current room
+  const go = (to, extra) => navigate({ screen: to, roomId, ...extra });
 
-  // ====== SCAN: QR reader that redirects ======
+  const handleScan = (data) => {
+    const result = parseQrPayload(data);
+    if (result.kind === "room") {
+      navigate({ screen: SCREENS.HOME, roomId: result.roomId });
+    } else if (result.kind === "experience") {
+      navigate({
+        screen: SCREENS.IMMERSIVE,
+        roomId: result.roomId,
+        experienceId: result.experienceId,
+      });
+    } else {
+      setScanResult(result);
+    }
+  };
+
+  // ====== SCAN: QR reader; decoded codes go through handleScan ======
   useEffect(() => {
     if (screen !== SCREENS.SCAN) return;
+    if (scanResult) return; // waiting on the confirmation card
 
     const start = async () => {
       try {
@@ -103,15 +233,13 @@ export default function App() {
               inversionAttempts: "dontInvert",
             });
             if (code?.data) {
-              // stop camera and redirect
+              // stop camera and classify the code
               try {
                 stream.getTracks().forEach((t) => t.stop());
               } catch {}
               cancelAnimationFrame(rafRef.current);
               // Add a tiny UX pause (optional)
-              setTimeout(() => {
-                window.location.href = code.data;
-              }, 150);
+              setTimeout(() => handleScan(code.data), 150);
               return;
             }
           }
@@ -133,197 +261,599 @@ export default function App() {
         } catch {}
       }
     };
+  }, [screen, scanResult]);
+
+  useEffect(() => {
+    if (screen !== SCREENS.SCAN) setScanResult(null);
   }, [screen]);
 
-  const postToImmersive = (payload) => {
-    const win = immersiveIframeRef.current?.contentWindow;
-    if (win) win.postMessage({ type: "experience", payload }, "*");
-  };
+  // The local viewer iframe mounts/unmounts with these; wait for its "ready" again
+  const localViewer =
+    screen === SCREENS.IMMERSIVE &&
+    !!selectedExperience &&
+    !selectedExperience.externalUrl;
+  const { reset: resetImmersive } = immersiveScene;
+  useEffect(() => {
+    resetImmersive();
+  }, [localViewer, resetImmersive]);
+
+  // Once the local viewer is ready, send the selected experience
+  // (external experiences are handled via iframe src). Compared by value,
+  // as every snapshot of the list brings fresh objects.
+  const experienceJson = localViewer
+    ? JSON.stringify({ ...selectedExperience, createdAt: undefined })
+    : null;
+  useEffect(() => {
+    if (!experienceJson || !immersiveScene.ready) return;
+    immersiveScene.send(AR_MESSAGES.EXPERIENCE, JSON.parse(experienceJson));
+  }, [experienceJson, immersiveScene.ready]);
+
+  // Walk the room: (re)send the clip list whenever it changes
+  const { reset: resetFloor } = floorScene;
+  useEffect(() => {
+    resetFloor();
+    setPlacing(false);
+  }, [screen, resetFloor]);
+
+  // Authors move their own stories; the room's owner may move any
+  const movableIds = owner
+    ? null
+    : clips.filter((c) => user && c.uid === user.uid).map((c) => c.id);
+  const movableKey = JSON.stringify(movableIds);
+  useEffect(() => {
+    if (screen !== SCREENS.WALK || !floorScene.ready) return;
+    floorScene.send(AR_MESSAGES.EDIT, {
+      enabled: placing,
+      clipIds: JSON.parse(movableKey),
+    });
+  }, [screen, floorScene.ready, placing, movableKey]);
+
+  useEffect(() => {
+    if (screen !== SCREENS.WALK || !floorScene.ready) return;
+    floorScene.send(AR_MESSAGES.CLIPS, clips.map(toSceneClip));
+  }, [screen, floorScene.ready, clips]);
+
+  // Marker mode: resolve the room's marker (QR markers are generated here),
+  // then hand the scene its marker, clips and experiences
+  // compared by value: every room snapshot is a fresh object
+  const markerJson = JSON.stringify(room?.marker || null);
+  useEffect(() => {
+    if (screen !== SCREENS.MARKER) return;
+    let alive = true;
+    let release = () => {};
+    setMarkerConfig(null);
+    sceneMarker(roomId, JSON.parse(markerJson)).then((m) => {
+      release = m.release;
+      if (alive) setMarkerConfig(m.config);
+      else release();
+    });
+    return () => {
+      alive = false;
+      release();
+    };
+  }, [screen, roomId, markerJson]);
 
-  // Load experiences for IMMERSIVE screen
+  // a new marker means a new iframe, which says "ready" again
+  const { reset: resetMarker } = markerScene;
   useEffect(() => {
-    const rid = roomId.trim();
-    if (!rid) return;
-    if (screen !== SCREENS.IMMERSIVE) return;
-    (async () => {
-      const q = query(
-        collection(db, "experiences"),
-        where("roomId", "==", rid),
-        orderBy("createdAt", "desc")
-      );
-      const snap = await getDocs(q);
-      setExperiences(snap.docs.map((d) => ({ id: d.id, ...d.data() })));
-    })();
-  }, [screen, roomId]);
-
-  // When an immersive iframe is present, send the selected experience (only for local viewer)
+    resetMarker();
+  }, [markerConfig, resetMarker]);
+
+  useEffect(() => {
+    if (!markerConfig || !markerScene.ready) return;
+    markerScene.send(AR_MESSAGES.MARKER, markerConfig);
+  }, [markerConfig, markerScene.ready]);
+
   useEffect(() => {
-    if (screen !== SCREENS.IMMERSIVE) return;
-    if (!selectedExperience) return;
-    if (selectedExperience.externalUrl) return; // external experiences handled via iframe src
-    const iframe = immersiveIframeRef.current;
-    if (!iframe) return;
-    const onLoad = () => postToImmersive(selectedExperience);
-    iframe.addEventListener("load", onLoad);
-    // also try immediate post in case it's already loaded
-    postToImmersive(selectedExperience);
-    return () => iframe.removeEventListener("load", onLoad);
-  }, [screen, selectedExperience]);
+    if (!markerConfig || !markerScene.ready) return;
+    markerScene.send(AR_MESSAGES.CLIPS, clips.map(toSceneClip));
+  }, [markerConfig, markerScene.ready, clips]);
+
+  useEffect(() => {
+    if (!markerConfig || !markerScene.ready) return;
+    markerScene.send(
+      AR_MESSAGES.EXPERIENCES,
+      experiences.map(toSceneExperience)
+    );
+  }, [markerConfig, markerScene.ready, experiences]);
+
+  // Tours play in the walk and marker scenes, one story at a time. The
+  // scene reports each step; a reloaded scene starts the tour over.
+  const tour = tours.find((t) => t.id === tourId) || null;
+  const tourJson = JSON.stringify(
+    tour ? sceneTour(tour, clips, experiences) : null
+  );
+  const tourScene = screen === SCREENS.MARKER ? markerScene : floorScene;
+  const sceneReady =
+    screen === SCREENS.MARKER
+      ? !!markerConfig && markerScene.ready
+      : screen === SCREENS.WALK && floorScene.ready;
+  useEffect(() => {
+    setTourId(null);
+  }, [roomId]);
+  useEffect(() => {
+    setTourStep(null);
+  }, [screen, tourId, markerConfig]);
+
+  useEffect(() => {
+    if (!sceneReady) return;
+    tourScene.send(AR_MESSAGES.TOUR, JSON.parse(tourJson));
+  }, [sceneReady, tourJson]);
+
+  const goToStop = (index) => tourScene.send(AR_MESSAGES.TOUR_GO, { index });
+  // placements can't be adjusted while a tour shows one story at a time
+  const chooseTour = (id) => {
+    setTourId(id);
+    setPlacing(false);
+  };
+
+  // After contributing: say so when the story waits for the room owner
+  const contributed = (to = SCREENS.HOME) => {
+    if (initialStatus(room) === STATUS.PENDING)
+      alert("Thanks! It will appear once the room's owner has approved it.");
+    go(to);
+  };
 
   const handleUpload = async () => {
-    const rid = ensureRoom();
-    if (!name || !email) return alert("Add your name and email.");
+    const rid = roomId;
+    if (!name.trim()) return alert("Add your name.");
     if (!videoFile && !glbFile) return alert("Select a video or a GLB.");
-    setUploading(true);
-    try {
-      let doc = {
-        roomId: rid,
-        authorName: name,
-        authorEmail: email,
-        createdAt: serverTimestamp(),
-      };
-      if (videoFile) {
-        const vref = ref(
-          storage,
-          `rooms/${rid}/videos/${Date.now()}-${videoFile.name}`
-        );
-        await uploadBytes(vref, videoFile);
-        doc.type = "video";
-        doc.url = await getDownloadURL(vref);
-      } else if (glbFile) {
-        const gref = ref(
-          storage,
-          `rooms/${rid}/glb/${Date.now()}-${glbFile.name}`
+    const file = videoFile || glbFile;
+    const type = videoFile ? "video" : "glb";
+    const problems = await validateMedia(file, type);
+    if (problems.length) return alert(problems.join("\n"));
+    if (type === "glb") {
+      let warnings;
+      try {
+        warnings = modelWarnings(await inspectGlb(file));
+      } catch (e) {
+        return alert(`Couldn't read the model: ${e.message}`);
+      }
+      if (
+        warnings.length &&
+        !confirm(
+          "This model may be slow on phones:\n\n" +
+            warnings.join("\n") +
+            "\n\nUpload anyway?"
+        )
+      )
+        return;
+    }
+
+    // The room's length limit holds for uploads as well as recordings;
+    // checked first, since making a lighter copy takes as long as the video
+    if (type === "video" && room?.maxClipSeconds) {
+      const { duration } = await probeMedia(file);
+      if (duration > room.maxClipSeconds)
+        return alert(
+          `This room takes videos of up to ${formatDuration(
+            room.maxClipSeconds
+          )}; this one is ${formatDuration(duration)}.`
         );
-        await uploadBytes(gref, glbFile);
-        doc.type = "glb";
-        doc.url = await getDownloadURL(gref);
+    }
+
+    // Videos: poster, thumbnail and fields, and a lighter copy if asked
+    let prepared = {
+      blob: file,
+      fields: { scale: glbScale, mimeType: "model/gltf-binary" },
+      stills: null,
+    };
+    if (type === "video") {
+      setShrinking(shrinkVideo ? 0 : null);
+      try {
+        prepared = await prepareVideo(file, {
+          shrink: shrinkVideo,
+          onProgress: setShrinking,
+        });
+      } catch (e) {
+        if (!confirm(`${e.message}. Upload the original instead?`)) return;
+        prepared = await prepareVideo(file);
+      } finally {
+        setShrinking(null);
       }
-      await addDoc(collection(db, "clips"), doc);
-      alert("Uploaded!");
-      setVideoFile(null);
-      setGlbFile(null);
-
-      const q = query(
-        collection(db, "clips"),
-        where("roomId", "==", rid),
-        orderBy("createdAt", "desc")
-      );
-      const snap = await getDocs(q);
-      const next = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
-      setClips(next);
-    } catch (e) {
-      alert("Upload failed: " + e.message);
-    } finally {
-      setUploading(false);
     }
+    const { blob: out, fields, stills } = prepared;
+
+    const folder = type === "video" ? "videos" : "glb";
+    const fileName =
+      out === file
+        ? file.name
+        : `${file.name.replace(/\.[^.]*$/, "")}.${extensionFor(out.type)}`;
+    const entry = {
+      collection: "clips",
+      doc: {
+        roomId: rid,
+        uid: user.uid,
+        status: initialStatus(room),
+        // firestore.rules caps names at 60 characters
+        authorName: name.trim().slice(0, 60),
+        type,
+        ...fields,
+      },
+      media: [
+        {
+          field: "url",
+          path: `rooms/${rid}/${folder}/${Date.now()}-${fileName}`,
+          blob: out,
+        },
+        ...stillsMedia(rid, stills),
+      ],
+    };
+    // progress, cancel and retry are handled by <UploadProgress />;
+    // without a connection the submission goes to the outbox
+    await upload.run(
+      async (put) => {
+        if (!navigator.onLine) throw new Error("You're offline");
+        await submitEntry(entry, put);
+        setVideoFile(null);
+        setGlbFile(null);
+        alert(
+          entry.doc.status === STATUS.PENDING
+            ? "Uploaded! It will appear once the room's owner has approved it."
+            : "Uploaded!"
+        );
+      },
+      {
+        totalBytes: out.size,
+        onFail: async (e) => {
+          if (!isNetworkError(e)) return false;
+          await enqueue(entry);
+          setVideoFile(null);
+          setGlbFile(null);
+          return true;
+        },
+      }
+    );
   };
 
   // Derived examples (kept if needed later)
+  const recentClips = featuredFirst(clips).slice(0, 6);
 
   return (
     <div className="app">
       <h2 style={{ marginTop: 0 }}>Unwritten — AR</h2>
-      <div className="badge" style={{ marginBottom: 12 }}>
-        Status: {screen}
+      <div className="row" style={{ marginBottom: 12, gap: 8 }}>
+        <div className="badge">Status: {screen}</div>
+        {pending.count > 0 && (
+          <button
+            className="badge"
+            style={{ width: "auto", color: "var(--warn)" }}
+            title={pending.lastError || "Waiting for a connection"}
+            onClick={pending.flush}
+          >
+            {pending.syncing ? "⏫ Syncing" : "📥"} {pending.count} pending{" "}
+            {pending.count === 1 ? "upload" : "uploads"}
+          </button>
+        )}
+        {pending.failed > 0 && (
+          <button
+            className="badge"
+            style={{ width: "auto", color: "var(--err)" }}
+            title={pending.failedError || undefined}
+            onClick={() =>
+              confirm(
+                `${pending.failed} ${
+                  pending.failed === 1 ? "upload" : "uploads"
+                } couldn't be sent:\n\n${
+                  pending.failedError || "Unknown error"
+                }\n\nDiscard ${pending.failed === 1 ? "it" : "them"}?`
+              ) && pending.discardFailed()
+            }
+          >
+            ⚠️ {pending.failed} failed{" "}
+            {pending.failed === 1 ? "upload" : "uploads"}
+          </button>
+        )}
+        {user && (
+          <button
+            className="badge"
+            style={{ width: "auto" }}
+            onClick={() => navigate({ screen: SCREENS.MINE, roomId })}
+          >
+            👤 My stories
+          </button>
+        )}
       </div>
 
       <AnimatePresence mode="wait">
-        {screen === SCREENS.HOME && (
+        {shown === "SIGN_IN" && (
           <motion.div
-            key="HOME"
-            className="card"
+            key="SIGN_IN"
             initial={{ opacity: 0, y: 8 }}
             animate={{ opacity: 1, y: 0 }}
             exit={{ opacity: 0, y: -8 }}
-            style={{ display: "grid", gap: 12 }}
           >
-            <label>Room ID</label>
-            <input
-              placeholder="Room ID"
-              value={roomId}
-              onChange={(e) => setRoomId(e.target.value)}
+            <SignIn onBack={() => go(SCREENS.HOME)} />
+          </motion.div>
+        )}
+
+        {shown === "ROOM_GATE" && (
+          <motion.div
+            key="ROOM_GATE"
+            initial={{ opacity: 0, y: 8 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -8 }}
+          >
+            <RoomGate
+              roomId={roomId}
+              room={room}
+              user={user}
+              onCreate={() => go(SCREENS.CREATE_ROOM)}
+              onBack={() => navigate({ screen: SCREENS.HOME })}
             />
+          </motion.div>
+        )}
 
-            <div className="row">
-              <button
-                onClick={() => {
-                  ensureRoom();
-                  setScreen(SCREENS.SCAN);
-                }}
-              >
-                Scan Space
-              </button>
-              <button
-                className="ghost"
-                onClick={() => {
-                  ensureRoom();
-                  setScreen(SCREENS.IMMERSIVE);
-                }}
-              >
-                watch videos
-              </button>
-              {/* Removed: Generate QR */}
-            </div>
+        {shown === SCREENS.CREATE_ROOM && (
+          <motion.div
+            key="CREATE_ROOM"
+            initial={{ opacity: 0, y: 8 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -8 }}
+          >
+            <RoomForm
+              roomId={roomId}
+              user={user}
+              onSaved={(id) => navigate({ screen: SCREENS.HOME, roomId: id })}
+              onCancel={() => navigate({ screen: SCREENS.HOME })}
+            />
+          </motion.div>
+        )}
 
-            <hr className="sep" />
+        {shown === SCREENS.GALLERY && (
+          <motion.div
+            key="GALLERY"
+            initial={{ opacity: 0, y: 8 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -8 }}
+          >
+            <Gallery
+              roomId={roomId}
+              dataRoomId={dataRoomId}
+              onOpen={(id) => go(SCREENS.CLIP, { clipId: id })}
+              onBack={() => go(SCREENS.HOME)}
+            />
+          </motion.div>
+        )}
 
-            <div className="row">
-              <button
-                className="ok"
-                onClick={() => {
-                  ensureRoom();
-                  setScreen(SCREENS.SUBMIT);
-                }}
-              >
-                Submit Video/GLB
-              </button>
-              <button
-                onClick={() => {
-                  ensureRoom();
-                  setScreen(SCREENS.VOICE);
-                }}
-              >
-                Record Audio/Video
-              </button>
-            </div>
+        {shown === SCREENS.CLIP && (
+          <motion.div
+            key={`CLIP-${clipId}`}
+            initial={{ opacity: 0, y: 8 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -8 }}
+          >
+            <ClipDetail
+              roomId={roomId}
+              clip={clips.find((c) => c.id === clipId) || null}
+              loading={clipsLoading}
+              user={user}
+              onBack={() => go(SCREENS.GALLERY)}
+            />
+          </motion.div>
+        )}
+
+        {shown === SCREENS.MINE && (
+          <motion.div
+            key="MINE"
+            initial={{ opacity: 0, y: 8 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -8 }}
+          >
+            <MyStories onBack={() => go(SCREENS.HOME)} />
+          </motion.div>
+        )}
 
-            {!!clips.length && (
+        {shown === SCREENS.HOME && (
+          <motion.div
+            key="HOME"
+            className="card"
+            initial={{ opacity: 0, y: 8 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -8 }}
+            style={{ display: "grid", gap: 12 }}
+          >
+            {!roomId ? (
+              <RoomPicker
+                onOpen={(id) => navigate({ screen: SCREENS.HOME, roomId: id })}
+                onScan={() => navigate({ screen: SCREENS.SCAN })}
+                onCreate={() => navigate({ screen: SCREENS.CREATE_ROOM })}
+              />
+            ) : (
               <>
-                <hr className="sep" />
-                <b>Recent in room “{roomId || "demo-room"}”</b>
-                <div className="row" style={{ width: "100%" }}>
-                  {clips.slice(0, 6).map((c) => (
-                    <div
-                      key={c.id}
-                      className="card"
+                <div style={{ display: "grid", gap: 8 }}>
+                  {room?.coverUrl && (
+                    <img
+                      src={room.coverUrl}
+                      alt=""
                       style={{
-                        flex: "1 1 240px",
-                        display: "grid",
-                        gap: 6,
-                        background: "#171a25",
+                        width: "100%",
+                        maxHeight: 220,
+                        objectFit: "cover",
+                        borderRadius: 12,
                       }}
+                    />
+                  )}
+                  <div
+                    className="row"
+                    style={{
+                      alignItems: "center",
+                      justifyContent: "space-between",
+                    }}
+                  >
+                    <h3 style={{ margin: 0 }}>{room?.title || roomId}</h3>
+                    <button
+                      className="ghost"
+                      style={{ width: "auto" }}
+                      onClick={() => navigate({ screen: SCREENS.HOME })}
                     >
-                      <div className="badge">
-                        {c.type?.toUpperCase()} •{" "}
-                        {new Date(
-                          c.createdAt?.seconds
-                            ? c.createdAt.seconds * 1000
-                            : Date.now()
-                        ).toLocaleString()}
-                      </div>
-                      <div style={{ wordBreak: "break-all", color: "#9aa0ae" }}>
-                        {c.url}
-                      </div>
+                      Change room
+                    </button>
+                  </div>
+                  {room?.description && (
+                    <div style={{ color: "#9aa0ae", whiteSpace: "pre-line" }}>
+                      {room.description}
                     </div>
-                  ))}
+                  )}
+                </div>
+
+                <div className="row">
+                  <button onClick={() => go(SCREENS.SCAN)}>Scan Space</button>
+                  <button
+                    className="ghost"
+                    onClick={() => go(SCREENS.IMMERSIVE)}
+                  >
+                    watch videos
+                  </button>
+                  <button className="ghost" onClick={() => go(SCREENS.WALK)}>
+                    Walk the room
+                  </button>
+                  <button className="ghost" onClick={() => go(SCREENS.MARKER)}>
+                    Use room marker
+                  </button>
+                  {(tours.length > 0 || owner) && (
+                    <button className="ghost" onClick={() => go(SCREENS.TOURS)}>
+                      Tours
+                    </button>
+                  )}
+                  {owner && (
+                    <>
+                      <button
+                        className="ghost"
+                        onClick={() => go(SCREENS.SETUP)}
+                      >
+                        Room setup
+                      </button>
+                      <button
+                        className="ghost"
+                        onClick={() => go(SCREENS.MODERATE)}
+                      >
+                        Moderate
+                      </button>
+                    </>
+                  )}
+                </div>
+
+                <hr className="sep" />
+
+                <div className="row">
+                  <button className="ok" onClick={() => go(SCREENS.SUBMIT)}>
+                    Submit Video/GLB
+                  </button>
+                  <button onClick={() => go(SCREENS.VOICE)}>
+                    Record Audio/Video
+                  </button>
+                  <button className="ghost" onClick={() => go(SCREENS.WRITE)}>
+                    Write
+                  </button>
                 </div>
+
+                {clipsLoading && <div className="badge">Loading stories…</div>}
+                {clipsError && (
+                  <div className="badge" style={{ color: "var(--err)" }}>
+                    Couldn't load stories: {clipsError.message}
+                  </div>
+                )}
+
+                {!!clips.length && (
+                  <>
+                    <hr className="sep" />
+                    <b>Recent in room “{roomId}”</b>
+                    <div className="row" style={{ width: "100%" }}>
+                      {recentClips.map((c) => (
+                        <div
+                          key={c.id}
+                          className="card"
+                          style={{
+                            flex: "1 1 240px",
+                            display: "grid",
+                            gap: 6,
+                            background: "#171a25",
+                          }}
+                        >
+                          <div className="badge">
+                            {c.featured && "⭐ "}
+                            {c.type?.toUpperCase()} •{" "}
+                            {new Date(
+                              c.createdAt?.seconds
+                                ? c.createdAt.seconds * 1000
+                                : Date.now()
+                            ).toLocaleString()}
+                          </div>
+                          {c.type === "text" ? (
+                            <div
+                              lang={c.lang || undefined}
+                              style={{
+                                whiteSpace: "pre-line",
+                                color: "#e7e7ea",
+                                display: "-webkit-box",
+                                WebkitLineClamp: 4,
+                                WebkitBoxOrient: "vertical",
+                                overflow: "hidden",
+                              }}
+                            >
+                              {c.text}
+                              {c.authorName && (
+                                <small style={{ color: "#9aa0ae" }}>
+                                  {" "}
+                                  — {c.authorName}
+                                </small>
+                              )}
+                            </div>
+                          ) : (
+                            <>
+                              {c.thumbUrl && (
+                                <img
+                                  src={c.thumbUrl}
+                                  alt=""
+                                  loading="lazy"
+                                  onClick={() =>
+                                    go(SCREENS.CLIP, { clipId: c.id })
+                                  }
+                                  style={{
+                                    width: "100%",
+                                    aspectRatio: "16 / 9",
+                                    objectFit: "cover",
+                                    borderRadius: 10,
+                                    cursor: "pointer",
+                                  }}
+                                />
+                              )}
+                              <button
+                                className="ghost"
+                                onClick={() =>
+                                  go(SCREENS.CLIP, { clipId: c.id })
+                                }
+                              >
+                                {c.type === "glb" ? "View" : "▶ Play"}
+                                {c.duration && ` ${formatDuration(c.duration)}`}
+                                {c.authorName && ` · ${c.authorName}`}
+                              </button>
+                            </>
+                          )}
+                          <ReportButton
+                            roomId={roomId}
+                            collection="clips"
+                            item={c}
+                            user={user}
+                          />
+                        </div>
+                      ))}
+                    </div>
+                    <button
+                      className="ghost"
+                      onClick={() => go(SCREENS.GALLERY)}
+                    >
+                      All {clips.length} stories →
+                    </button>
+                  </>
+                )}
               </>
             )}
           </motion.div>
         )}
 
-        {screen === SCREENS.SCAN && (
+        {shown === SCREENS.SCAN && (
           <motion.div
             key="SCAN"
             className="card"
@@ -340,27 +870,66 @@ export default function App() {
               <span className="badge">Tip: Hold ~15–25cm away</span>
             </div>
 
+            {scanResult?.kind === "external" && (
+              <div className="card" style={{ display: "grid", gap: 8 }}>
+                <b>This code leads outside Unwritten</b>
+                <span className="badge" style={{ color: "var(--warn)" }}>
+                  {new URL(scanResult.url).host}
+                </span>
+                <div style={{ wordBreak: "break-all", color: "#9aa0ae" }}>
+                  {scanResult.url}
+                </div>
+                <div className="row">
+                  <button className="ghost" onClick={() => setScanResult(null)}>
+                    Scan again
+                  </button>
+                  <button
+                    className="warn"
+                    onClick={() =>
+                      window.open(scanResult.url, "_blank", "noopener")
+                    }
+                  >
+                    Open site
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {scanResult?.kind === "unsupported" && (
+              <div className="card" style={{ display: "grid", gap: 8 }}>
+                <b>This isn't a room code</b>
+                <div style={{ wordBreak: "break-all", color: "#9aa0ae" }}>
+                  {scanResult.raw.slice(0, 200) || "(empty)"}
+                </div>
+                <button className="ghost" onClick={() => setScanResult(null)}>
+                  Scan again
+                </button>
+              </div>
+            )}
+
             {/* Live camera preview */}
-            <video
-              ref={videoRef}
-              className="preview"
-              muted
-              playsInline
-              autoPlay
-            />
+            {!scanResult && (
+              <video
+                ref={videoRef}
+                className="preview"
+                muted
+                playsInline
+                autoPlay
+              />
+            )}
 
             {/* Hidden canvas for QR processing */}
             <canvas ref={canvasRef} style={{ display: "none" }} />
 
             <div className="row">
-              <button className="ghost" onClick={() => setScreen(SCREENS.HOME)}>
+              <button className="ghost" onClick={() => go(SCREENS.HOME)}>
                 ← Back
               </button>
             </div>
           </motion.div>
         )}
 
-        {screen === SCREENS.VOICE && (
+        {shown === SCREENS.VOICE && (
           <motion.div
             key="VOICE"
             initial={{ opacity: 0, y: 8 }}
@@ -368,14 +937,114 @@ export default function App() {
             exit={{ opacity: 0, y: -8 }}
           >
             <AudioRecorder
-              roomId={roomId || "demo-room"}
-              onBack={() => setScreen(SCREENS.HOME)}
-              onDone={() => setScreen(SCREENS.HOME)}
+              roomId={roomId}
+              uid={user.uid}
+              maxSeconds={room?.maxClipSeconds}
+              status={initialStatus(room)}
+              onBack={() => go(SCREENS.HOME)}
+              onDone={() => contributed()}
+            />
+          </motion.div>
+        )}
+
+        {shown === SCREENS.MODERATE && (
+          <motion.div
+            key="MODERATE"
+            initial={{ opacity: 0, y: 8 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -8 }}
+          >
+            <ModerationDashboard
+              roomId={roomId}
+              room={room}
+              user={user}
+              onBack={() => go(SCREENS.HOME)}
             />
           </motion.div>
         )}
 
-        {screen === SCREENS.SUBMIT && (
+        {shown === SCREENS.TOURS && (
+          <motion.div
+            key="TOURS"
+            initial={{ opacity: 0, y: 8 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -8 }}
+          >
+            <Tours
+              roomId={roomId}
+              uid={user?.uid}
+              owner={owner}
+              tours={tours}
+              loading={toursLoading}
+              error={toursError}
+              clips={clips}
+              experiences={experiences}
+              onPlay={(id) => {
+                chooseTour(id);
+                go(SCREENS.WALK);
+              }}
+              onBack={() => go(SCREENS.HOME)}
+            />
+          </motion.div>
+        )}
+
+        {shown === SCREENS.SETUP && (
+          <motion.div
+            key="SETUP"
+            initial={{ opacity: 0, y: 8 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -8 }}
+          >
+            {owner ? (
+              <>
+                <div style={{ marginBottom: 12 }}>
+                  <RoomForm
+                    key={roomId}
+                    roomId={roomId}
+                    room={room}
+                    user={user}
+                    onSaved={() => alert("Room saved.")}
+                    onCancel={() => go(SCREENS.HOME)}
+                  />
+                </div>
+                <RoomSetup
+                  roomId={roomId}
+                  experiences={experiences}
+                  room={room}
+                  onBack={() => go(SCREENS.HOME)}
+                />
+              </>
+            ) : (
+              <div className="card" style={{ display: "grid", gap: 12 }}>
+                <div className="badge">
+                  Only the room's owner can set it up.
+                </div>
+                <button className="ghost" onClick={() => go(SCREENS.HOME)}>
+                  ← Back
+                </button>
+              </div>
+            )}
+          </motion.div>
+        )}
+
+        {shown === SCREENS.WRITE && (
+          <motion.div
+            key="WRITE"
+            initial={{ opacity: 0, y: 8 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -8 }}
+          >
+            <TextStoryForm
+              roomId={roomId}
+              uid={user.uid}
+              status={initialStatus(room)}
+              onBack={() => go(SCREENS.HOME)}
+              onDone={() => contributed()}
+            />
+          </motion.div>
+        )}
+
+        {shown === SCREENS.SUBMIT && (
           <motion.div
             key="SUBMIT"
             className="card"
@@ -385,23 +1054,14 @@ export default function App() {
             style={{ display: "grid", gap: 12 }}
           >
             <b>Submit a Video or GLB</b>
-            <div className="row">
-              <div style={{ flex: 1 }}>
-                <label>Your Name</label>
-                <input
-                  placeholder="Sakshi Rane"
-                  value={name}
-                  onChange={(e) => setName(e.target.value)}
-                />
-              </div>
-              <div style={{ flex: 1 }}>
-                <label>Email</label>
-                <input
-                  placeholder="you@example.com"
-                  value={email}
-                  onChange={(e) => setEmail(e.target.value)}
-                />
-              </div>
+            <div>
+              <label>Your Name</label>
+              <input
+                placeholder="Sakshi Rane"
+                maxLength={60}
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+              />
             </div>
 
             <div className="row">
@@ -429,19 +1089,33 @@ export default function App() {
               </div>
             </div>
 
+            {glbFile && (
+              <GlbPreview
+                file={glbFile}
+                scale={glbScale}
+                onScale={setGlbScale}
+              />
+            )}
+
             {videoFile && (
-              <video
-                className="preview"
-                src={URL.createObjectURL(videoFile)}
-                controls
+              <VideoPreview
+                file={videoFile}
+                shrink={shrinkVideo}
+                onShrink={setShrinkVideo}
+                progress={shrinking}
               />
             )}
 
+            <UploadProgress task={upload} />
+
             <div className="row">
-              <button className="ghost" onClick={() => setScreen(SCREENS.HOME)}>
+              <button className="ghost" onClick={() => go(SCREENS.HOME)}>
                 ← Back
               </button>
-              <button disabled={uploading} onClick={handleUpload}>
+              <button
+                disabled={uploading || shrinking !== null}
+                onClick={handleUpload}
+              >
                 {uploading ? "Uploading…" : "Upload"}
               </button>
             </div>
@@ -450,7 +1124,119 @@ export default function App() {
 
         {/* REVEAL screen removed per request */}
 
-        {screen === SCREENS.IMMERSIVE && (
+        {shown === SCREENS.WALK && (
+          <motion.div
+            key="WALK"
+            className="card"
+            initial={{ opacity: 0, y: 8 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -8 }}
+            style={{ display: "grid", gap: 12 }}
+          >
+            <b>Walk the room</b>
+            <div className="row" style={{ alignItems: "center" }}>
+              <span className="badge">
+                Scene: {floorScene.ready ? "✅ Ready" : "⏳ Loading…"}
+              </span>
+              <span className="badge">
+                {clips.length} {clips.length === 1 ? "story" : "stories"}
+              </span>
+              <span className="badge">
+                {clips.filter((c) => c.placement).length} placed
+              </span>
+            </div>
+
+            <div className="iframe-wrap">
+              <iframe
+                ref={floorIframeRef}
+                src={`/ar/ar-scene-floor.html#${encodeURIComponent(roomId)}`}
+                allow="camera *; microphone *; xr-spatial-tracking; fullscreen"
+                title="Walk the room"
+              ></iframe>
+            </div>
+
+            <TourBar
+              tours={tours}
+              tourId={tourId}
+              onSelect={chooseTour}
+              step={tourStep}
+              onGo={goToStop}
+            />
+
+            <div className="row">
+              <button className="ghost" onClick={() => go(SCREENS.HOME)}>
+                ← Back
+              </button>
+              {(!movableIds || movableIds.length > 0) && (
+                <button
+                  className={placing ? "ok" : "ghost"}
+                  disabled={!floorScene.ready || !!tour}
+                  onClick={() => setPlacing((p) => !p)}
+                >
+                  {placing ? "Done adjusting" : "Adjust placement"}
+                </button>
+              )}
+            </div>
+          </motion.div>
+        )}
+
+        {shown === SCREENS.MARKER && (
+          <motion.div
+            key="MARKER"
+            className="card"
+            initial={{ opacity: 0, y: 8 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -8 }}
+            style={{ display: "grid", gap: 12 }}
+          >
+            <b>Room marker</b>
+            <small style={{ color: "#9aa0ae" }}>
+              Point your camera at the marker printed for this room. Stories are
+              laid out around it, the same for everyone.
+            </small>
+            <div className="row" style={{ alignItems: "center" }}>
+              <span className="badge">
+                Scene: {markerScene.ready ? "✅ Ready" : "⏳ Loading…"}
+              </span>
+              <span className="badge">
+                Marker: {room?.marker?.type || "hiro"}
+              </span>
+            </div>
+
+            <div className="iframe-wrap">
+              {markerConfig && (
+                <iframe
+                  key={JSON.stringify(markerConfig)}
+                  ref={markerIframeRef}
+                  src="/ar/index.html"
+                  allow="camera *; fullscreen"
+                  title="Room marker"
+                ></iframe>
+              )}
+            </div>
+
+            <TourBar
+              tours={tours}
+              tourId={tourId}
+              onSelect={chooseTour}
+              step={tourStep}
+              onGo={goToStop}
+            />
+
+            <div className="row">
+              <button className="ghost" onClick={() => go(SCREENS.HOME)}>
+                ← Back
+              </button>
+              {owner && (
+                <button className="ghost" onClick={() => go(SCREENS.SETUP)}>
+                  Marker settings
+                </button>
+              )}
+            </div>
+          </motion.div>
+        )}
+
+        {shown === SCREENS.IMMERSIVE && (
           <motion.div
             key="IMMERSIVE"
             className="card"
@@ -485,7 +1271,13 @@ export default function App() {
             </div>
 
             <div className="row" style={{ width: "100%" }}>
-              {experiences.length === 0 ? (
+              {experiencesError ? (
+                <div className="badge" style={{ color: "var(--err)" }}>
+                  Couldn't load experiences: {experiencesError.message}
+                </div>
+              ) : experiencesLoading ? (
+                <div className="badge">Loading experiences…</div>
+              ) : experiences.length === 0 ? (
                 <div className="badge">No experiences yet.</div>
               ) : (
                 experiences.map((ex) => (
@@ -509,14 +1301,27 @@ export default function App() {
                         <img
                           src={ex.thumbUrl}
                           alt={ex.title || "thumb"}
-                          style={{ width: "100%", borderRadius: 10 }}
+                          loading="lazy"
+                          style={{
+                            width: "100%",
+                            aspectRatio: "16 / 9",
+                            objectFit: "cover",
+                            borderRadius: 10,
+                          }}
                         />
                       )}
                       <small style={{ color: "#9aa0ae" }}>
-                        {ex.videoUrl ? "Immersive video" : "GLB + Audio"}
+                        {ex.externalUrl
+                          ? "External AR"
+                          : ex.videoUrl
+                            ? "Immersive video"
+                            : "GLB + Audio"}
+                        {ex.duration && ` · ${formatDuration(ex.duration)}`}
                       </small>
                       <button
-                        onClick={() => setSelectedExperience(ex)}
+                        onClick={() =>
+                          go(SCREENS.IMMERSIVE, { experienceId: ex.id })
+                        }
                         className="ok"
                       >
                         View in AR
@@ -527,6 +1332,12 @@ export default function App() {
               )}
             </div>
 
+            {experienceId && !experiencesLoading && !selectedExperience && (
+              <div className="badge" style={{ color: "var(--warn)" }}>
+                This experience isn't available in room “{roomId}”.
+              </div>
+            )}
+
             {selectedExperience && (
               <div className="iframe-wrap" style={{ marginTop: 8 }}>
                 {selectedExperience.externalUrl ? (
@@ -543,9 +1354,7 @@ export default function App() {
                   <>
                     <iframe
                       ref={immersiveIframeRef}
-                      src={`/ar/experience.html#${encodeURIComponent(
-                        roomId || "demo-room"
-                      )}`}
+                      src={`/ar/experience.html#${encodeURIComponent(roomId)}`}
                       allow="camera *; microphone *; xr-spatial-tracking; fullscreen"
                       title="Immersive Experience"
                     ></iframe>
@@ -556,12 +1365,35 @@ export default function App() {
             )}
 
             <div className="row">
-              <button className="ghost" onClick={() => setScreen(SCREENS.HOME)}>
+              <button className="ghost" onClick={() => go(SCREENS.HOME)}>
                 ← Back
               </button>
+              <button
+                className="ok"
+                onClick={() => go(SCREENS.CREATE_EXPERIENCE)}
+              >
+                + Create experience
+              </button>
             </div>
           </motion.div>
         )}
+
+        {shown === SCREENS.CREATE_EXPERIENCE && (
+          <motion.div
+            key="CREATE_EXPERIENCE"
+            initial={{ opacity: 0, y: 8 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -8 }}
+          >
+            <ExperienceForm
+              roomId={roomId}
+              uid={user.uid}
+              status={initialStatus(room)}
+              onBack={() => go(SCREENS.IMMERSIVE)}
+              onDone={() => contributed(SCREENS.IMMERSIVE)}
+            />
+          </motion.div>
+        )}
       </AnimatePresence>
     </div>
   );
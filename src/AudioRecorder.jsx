@@ -1,10 +1,34 @@
 import React, { useEffect, useRef, useState } from "react";
-import { db, storage } from "./firebaseConfig";
-import { collection, addDoc, serverTimestamp } from "firebase/firestore";
-import { ref, uploadBytes, getDownloadURL } from "firebase/storage";
+import LevelMeter from "./LevelMeter";
+import TrimEditor from "./TrimEditor";
+import UploadProgress from "./UploadProgress";
+import { enqueue, isNetworkError, submitEntry } from "./outbox";
+import {
+  extensionFor,
+  mediaFields,
+  pickRecordingType,
+  recordedType,
+} from "./mediaFormats";
+import { VIDEO_BUDGET, stillsMedia, videoStills } from "./mediaPipeline";
+import { isTrimmed, trimAudio, trimVideo } from "./trim";
+import { useUploadTask, validateMedia } from "./uploads";
 
-// Unified recorder supporting audio-only and video+audio
-export default function AudioRecorder({ roomId, onDone, onBack }) {
+const clock = (ms) => {
+  const s = Math.floor(ms / 1000);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+};
+
+// Unified recorder supporting audio-only and video+audio, with a live
+// level meter and trimming before upload. `maxSeconds` (the room's max
+// clip length) stops the recording when reached.
+export default function AudioRecorder({
+  roomId,
+  uid,
+  status,
+  maxSeconds,
+  onDone,
+  onBack,
+}) {
   const mediaRecorderRef = useRef(null);
   const chunksRef = useRef([]);
   const streamRef = useRef(null);
@@ -13,33 +37,38 @@ export default function AudioRecorder({ roomId, onDone, onBack }) {
   const [mode, setMode] = useState("audio"); // 'audio' | 'video'
   const [isRecording, setIsRecording] = useState(false);
   const [isPaused, setIsPaused] = useState(false);
-  const [seconds, setSeconds] = useState(0);
+  // recorded time in ms, paused stretches excluded
+  const [elapsed, setElapsed] = useState(0);
+  const [hitLimit, setHitLimit] = useState(false);
+  const [stream, setStream] = useState(null);
   const [blobUrl, setBlobUrl] = useState(null);
   const [blob, setBlob] = useState(null);
-  const [saving, setSaving] = useState(false);
+  const [duration, setDuration] = useState(0);
+  const [range, setRange] = useState({ start: 0, end: 0 });
+  const [trimming, setTrimming] = useState(null); // 0..1 while exporting
+  const [authorName, setAuthorName] = useState("");
+  const upload = useUploadTask();
+  const saving = upload.status === "uploading" || trimming !== null;
   const timerRef = useRef(null);
+  // { acc, since }: ms banked before the last pause, and when the
+  // current stretch started (null while paused)
+  const clockRef = useRef({ acc: 0, since: null });
+  const levelsRef = useRef([]);
 
-  const pickMimeType = (kind) => {
-    const candidates =
-      kind === "video"
-        ? [
-            "video/webm;codecs=vp9,opus",
-            "video/webm;codecs=vp8,opus",
-            "video/webm",
-          ]
-        : ["audio/webm;codecs=opus", "audio/webm"];
-    for (const t of candidates) {
-      if (window.MediaRecorder && MediaRecorder.isTypeSupported?.(t)) return t;
-    }
-    return undefined;
+  const recorded = () => {
+    const { acc, since } = clockRef.current;
+    return acc + (since !== null ? performance.now() - since : 0);
   };
 
   const resetRecording = () => {
     setBlob(null);
     if (blobUrl) URL.revokeObjectURL(blobUrl);
     setBlobUrl(null);
-    setSeconds(0);
+    setElapsed(0);
+    setDuration(0);
+    setHitLimit(false);
     setIsPaused(false);
+    levelsRef.current = [];
   };
 
   const start = async () => {
@@ -54,20 +83,25 @@ export default function AudioRecorder({ roomId, onDone, onBack }) {
           : { audio: true };
       const stream = await navigator.mediaDevices.getUserMedia(constraints);
       streamRef.current = stream;
+      setStream(stream);
       if (mode === "video" && liveVideoRef.current) {
         liveVideoRef.current.srcObject = stream;
         await liveVideoRef.current.play().catch(() => {});
       }
-      const mimeType = pickMimeType(mode);
-      const mr = mimeType
-        ? new MediaRecorder(stream, { mimeType })
-        : new MediaRecorder(stream);
+      const mimeType = pickRecordingType(mode);
+      // phones default to camera-grade bitrates; AR playback doesn't need them
+      const mr = new MediaRecorder(stream, {
+        ...(mimeType && { mimeType }),
+        ...(mode === "video" && {
+          videoBitsPerSecond: VIDEO_BUDGET.bitsPerSecond,
+        }),
+      });
       chunksRef.current = [];
       mr.ondataavailable = (e) => {
         if (e.data && e.data.size > 0) chunksRef.current.push(e.data);
       };
       mr.onstop = () => {
-        const type = mode === "video" ? "video/webm" : "audio/webm";
+        const type = recordedType(mr, mimeType, mode);
         const b = new Blob(chunksRef.current, { type });
         setBlob(b);
         setBlobUrl(URL.createObjectURL(b));
@@ -76,10 +110,9 @@ export default function AudioRecorder({ roomId, onDone, onBack }) {
       mediaRecorderRef.current = mr;
       setIsRecording(true);
       setIsPaused(false);
-      setSeconds(0);
-      timerRef.current = setInterval(() => {
-        setSeconds((s) => (isPaused ? s : s + 1));
-      }, 1000);
+      clockRef.current = { acc: 0, since: performance.now() };
+      setElapsed(0);
+      timerRef.current = setInterval(() => setElapsed(recorded()), 200);
     } catch (e) {
       alert("Unable to start recording: " + e.message);
     }
@@ -89,6 +122,7 @@ export default function AudioRecorder({ roomId, onDone, onBack }) {
     if (!mediaRecorderRef.current) return;
     if (mediaRecorderRef.current.state === "recording") {
       mediaRecorderRef.current.pause();
+      clockRef.current = { acc: recorded(), since: null };
       setIsPaused(true);
     }
   };
@@ -97,17 +131,26 @@ export default function AudioRecorder({ roomId, onDone, onBack }) {
     if (!mediaRecorderRef.current) return;
     if (mediaRecorderRef.current.state === "paused") {
       mediaRecorderRef.current.resume();
+      clockRef.current.since = performance.now();
       setIsPaused(false);
     }
   };
 
   const stop = () => {
     try {
-      if (mediaRecorderRef.current && isRecording) {
+      if (
+        mediaRecorderRef.current &&
+        mediaRecorderRef.current.state !== "inactive"
+      ) {
         mediaRecorderRef.current.stop();
+        const secs = recorded() / 1000;
+        clockRef.current = { acc: 0, since: null };
+        setDuration(secs);
+        setRange({ start: 0, end: secs });
       }
     } finally {
       setIsRecording(false);
+      setStream(null);
       setIsPaused(false);
       clearInterval(timerRef.current);
       timerRef.current = null;
@@ -126,6 +169,28 @@ export default function AudioRecorder({ roomId, onDone, onBack }) {
     }
   };
 
+  useEffect(() => {
+    if (isRecording && maxSeconds && elapsed >= maxSeconds * 1000) {
+      stop();
+      setHitLimit(true);
+    }
+  }, [isRecording, maxSeconds, elapsed]);
+
+  // The take as it will be uploaded: cut to the trim handles
+  const exportBlob = async () => {
+    if (!isTrimmed(range, duration)) return blob;
+    setTrimming(0);
+    try {
+      return blob.type.startsWith("video")
+        ? await trimVideo(blob, range.start, range.end, {
+            onProgress: setTrimming,
+          })
+        : await trimAudio(blob, range.start, range.end);
+    } finally {
+      setTrimming(null);
+    }
+  };
+
   useEffect(() => {
     return () => {
       clearInterval(timerRef.current);
@@ -154,42 +219,69 @@ export default function AudioRecorder({ roomId, onDone, onBack }) {
 
   const save = async () => {
     if (!blob) return;
-    setSaving(true);
+    let out;
     try {
-      const isVideo = mode === "video" && blob.type.startsWith("video");
-      const basePath = isVideo ? "videos" : "audio";
-      const ext = "webm";
-      const path = `rooms/${roomId}/${basePath}/${Date.now()}-recording.${ext}`;
-      const storageRef = ref(storage, path);
-      await uploadBytes(storageRef, blob);
-      const url = await getDownloadURL(storageRef);
-      await addDoc(collection(db, "clips"), {
-        roomId,
-        type: isVideo ? "video" : "audio",
-        url,
-        createdAt: serverTimestamp(),
-      });
-      onDone?.({ type: isVideo ? "video" : "audio", url });
+      out = await exportBlob();
     } catch (e) {
-      alert("Failed to save: " + e.message);
-    } finally {
-      setSaving(false);
+      if (!confirm(`${e.message}. Save the whole recording instead?`)) return;
+      out = blob;
     }
+    const isVideo = mode === "video" && out.type.startsWith("video");
+    const problems = await validateMedia(out, isVideo ? "video" : "audio");
+    if (problems.length) return alert(problems.join("\n"));
+    const basePath = isVideo ? "videos" : "audio";
+    const ext = extensionFor(out.type);
+    const path = `rooms/${roomId}/${basePath}/${Date.now()}-recording.${ext}`;
+    const stills = isVideo ? await videoStills(out).catch(() => null) : null;
+    const entry = {
+      collection: "clips",
+      doc: {
+        roomId,
+        uid,
+        status,
+        type: isVideo ? "video" : "audio",
+        ...(await mediaFields(out, { duration: range.end - range.start })),
+      },
+      media: [
+        { field: "url", path, blob: out },
+        ...stillsMedia(roomId, stills),
+      ],
+    };
+    if (authorName.trim())
+      entry.doc.authorName = authorName.trim().slice(0, 60);
+    // No signal: keep it on the device and let the outbox send it later
+    const queue = async (e) => isNetworkError(e) && !!(await enqueue(entry));
+    await upload.run(
+      async (put) => {
+        if (!navigator.onLine) throw new Error("You're offline");
+        await submitEntry(entry, put);
+        onDone?.({ type: entry.doc.type });
+      },
+      { totalBytes: out.size, onFail: queue }
+    );
   };
 
-  const download = () => {
+  const download = async () => {
     if (!blob || !blobUrl) return;
-    const isVideo = mode === "video" && blob.type.startsWith("video");
-    const ext = "webm";
+    let out;
+    try {
+      out = await exportBlob();
+    } catch (e) {
+      return alert(e.message);
+    }
+    const isVideo = mode === "video" && out.type.startsWith("video");
+    const ext = extensionFor(out.type);
     const name = isVideo
       ? `video-${Date.now()}.${ext}`
       : `audio-${Date.now()}.${ext}`;
+    const href = out === blob ? blobUrl : URL.createObjectURL(out);
     const a = document.createElement("a");
-    a.href = blobUrl;
+    a.href = href;
     a.download = name;
     document.body.appendChild(a);
     a.click();
     a.remove();
+    if (href !== blobUrl) setTimeout(() => URL.revokeObjectURL(href), 1000);
   };
 
   const canToggleMode = !isRecording;
@@ -231,11 +323,23 @@ export default function AudioRecorder({ roomId, onDone, onBack }) {
           autoPlay
         />
       )}
-      {!isRecording && blobUrl && mode === "video" && (
-        <video className="preview" src={blobUrl} controls />
+      {isRecording && (
+        <LevelMeter stream={stream} paused={isPaused} levelsRef={levelsRef} />
+      )}
+      {!isRecording && blobUrl && (
+        <TrimEditor
+          src={blobUrl}
+          kind={mode}
+          duration={duration}
+          levels={levelsRef.current}
+          range={range}
+          onChange={setRange}
+        />
       )}
-      {!isRecording && blobUrl && mode === "audio" && (
-        <audio controls src={blobUrl} style={{ width: "100%" }} />
+      {hitLimit && !isRecording && (
+        <small style={{ color: "#9aa0ae" }}>
+          Stopped at this room's {clock(maxSeconds * 1000)} limit.
+        </small>
       )}
       {/* Controls */}
       {!isRecording && !blobUrl && (
@@ -246,7 +350,9 @@ export default function AudioRecorder({ roomId, onDone, onBack }) {
       {isRecording && (
         <div className="row" style={{ alignItems: "center", gap: 8 }}>
           <span className="badge">
-            ⏱ {seconds}s {isPaused ? "paused" : "recording"}…
+            ⏱ {clock(elapsed)}
+            {maxSeconds ? ` / ${clock(maxSeconds * 1000)}` : ""}{" "}
+            {isPaused ? "paused" : "recording"}…
           </span>
           {!isPaused ? (
             <button onClick={pause} className="ghost">
@@ -262,6 +368,21 @@ export default function AudioRecorder({ roomId, onDone, onBack }) {
           </button>
         </div>
       )}
+      {trimming !== null && (
+        <div className="badge">Trimming… {Math.round(trimming * 100)}%</div>
+      )}
+      <UploadProgress task={upload} />
+      {!isRecording && blobUrl && (
+        <div>
+          <label>Your Name (optional)</label>
+          <input
+            placeholder="Sakshi Rane"
+            maxLength={60}
+            value={authorName}
+            onChange={(e) => setAuthorName(e.target.value)}
+          />
+        </div>
+      )}
       {!isRecording && blobUrl && (
         <div className="row" style={{ gap: 8 }}>
           <button
@@ -0,0 +1,148 @@
+import React, { useMemo, useState } from "react";
+import { CLIP_TYPES, clipDate } from "./Gallery";
+import ModelViewer from "./ModelViewer";
+import { clipLink } from "./qrPayload";
+import ReportButton from "./ReportButton";
+import { parseVtt } from "./transcription";
+
+const vttUrl = (vtt) =>
+  "data:text/vtt;charset=utf-8," + encodeURIComponent(vtt);
+
+// Audio has no caption area of its own; show the current cue below it
+function CaptionedAudio({ clip }) {
+  const cues = useMemo(() => parseVtt(clip.captions), [clip.captions]);
+  const [line, setLine] = useState("");
+  const onTime = (e) => {
+    const t = e.currentTarget.currentTime;
+    setLine(cues.find((c) => t >= c.start && t < c.end)?.text || "");
+  };
+  return (
+    <>
+      <audio
+        src={clip.url}
+        controls
+        onTimeUpdate={onTime}
+        style={{ width: "100%" }}
+      />
+      {cues.length > 0 && (
+        <div
+          aria-live="polite"
+          style={{ minHeight: "3em", fontSize: 18, textAlign: "center" }}
+        >
+          {line}
+        </div>
+      )}
+    </>
+  );
+}
+
+function ClipMedia({ clip }) {
+  if (clip.type === "text")
+    return (
+      <div
+        lang={clip.lang || undefined}
+        style={{ whiteSpace: "pre-line", fontSize: 18, lineHeight: 1.5 }}
+      >
+        {clip.text}
+      </div>
+    );
+  if (clip.type === "video")
+    return (
+      <video
+        src={clip.url}
+        poster={clip.posterUrl || undefined}
+        controls
+        playsInline
+        preload="metadata"
+        style={{ width: "100%", maxHeight: "70vh", borderRadius: 12 }}
+      >
+        {clip.captions && (
+          <track
+            kind="captions"
+            src={vttUrl(clip.captions)}
+            srcLang={clip.lang || undefined}
+            label="Captions"
+            default
+          />
+        )}
+      </video>
+    );
+  if (clip.type === "audio") return <CaptionedAudio clip={clip} />;
+  if (clip.type === "glb") return <ModelViewer url={clip.url} />;
+  return null;
+}
+
+// One story without AR: player/viewer, author and a link to share it
+export default function ClipDetail({ roomId, clip, loading, user, onBack }) {
+  const [shared, setShared] = useState(false);
+  const link = clip ? clipLink(roomId, clip.id) : "";
+
+  const share = async () => {
+    try {
+      if (navigator.share) {
+        await navigator.share({ title: "A story from this room", url: link });
+      } else {
+        await navigator.clipboard.writeText(link);
+        setShared(true);
+      }
+    } catch (e) {
+      // closing the share sheet isn't an error
+      if (e?.name !== "AbortError") prompt("Copy this link:", link);
+    }
+  };
+
+  return (
+    <div className="card" style={{ display: "grid", gap: 12 }}>
+      {loading && !clip && <div className="badge">Loading story…</div>}
+      {!loading && !clip && (
+        <div className="badge">
+          This story isn't available. It may have been removed.
+        </div>
+      )}
+
+      {clip && (
+        <>
+          <div
+            className="row"
+            style={{ alignItems: "center", justifyContent: "space-between" }}
+          >
+            <span className="badge">
+              {clip.featured && "⭐ "}
+              {CLIP_TYPES[clip.type] || clip.type}
+            </span>
+            <small style={{ color: "#9aa0ae" }}>{clipDate(clip)}</small>
+          </div>
+
+          <ClipMedia clip={clip} />
+
+          {clip.authorName && <b>— {clip.authorName}</b>}
+
+          {clip.transcript && (
+            <details>
+              <summary>Transcript</summary>
+              <p lang={clip.lang || undefined} style={{ color: "#c9ccd6" }}>
+                {clip.transcript}
+              </p>
+            </details>
+          )}
+
+          <div className="row" style={{ alignItems: "center", gap: 8 }}>
+            <button className="ghost" style={{ width: "auto" }} onClick={share}>
+              🔗 {shared ? "Link copied" : "Share"}
+            </button>
+            <ReportButton
+              roomId={roomId}
+              collection="clips"
+              item={clip}
+              user={user}
+            />
+          </div>
+        </>
+      )}
+
+      <button className="ghost" onClick={onBack}>
+        ← All stories
+      </button>
+    </div>
+  );
+}
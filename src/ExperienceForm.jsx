@@ -0,0 +1,276 @@
+import React, { useEffect, useState } from "react";
+import { mediaFields } from "./mediaFormats";
+import { titleCard, videoStills } from "./mediaPipeline";
+import { enqueue, isNetworkError, submitEntry } from "./outbox";
+import UploadProgress from "./UploadProgress";
+import { assertMedia, useUploadTask } from "./uploads";
+
+const KINDS = {
+  GLB: "glb", // GLB model + optional audio track
+  VIDEO: "video", // 360° video sphere
+  EXTERNAL: "external", // hosted AR experience (iframe)
+};
+
+const isHttpsUrl = (s) => {
+  try {
+    return new URL(s).protocol === "https:";
+  } catch {
+    return false;
+  }
+};
+
+// Creates a document in `experiences` for the IMMERSIVE screen
+export default function ExperienceForm({
+  roomId,
+  uid,
+  status,
+  onDone,
+  onBack,
+}) {
+  const [kind, setKind] = useState(KINDS.GLB);
+  const [title, setTitle] = useState("");
+  const [glbFile, setGlbFile] = useState(null);
+  const [audioFile, setAudioFile] = useState(null);
+  const [videoFile, setVideoFile] = useState(null);
+  const [externalUrl, setExternalUrl] = useState("");
+  const [scale, setScale] = useState(1);
+  const [thumbFile, setThumbFile] = useState(null);
+  const [thumbPreview, setThumbPreview] = useState(null);
+  const upload = useUploadTask();
+  const saving = upload.status === "uploading";
+
+  useEffect(() => {
+    if (!thumbFile) {
+      setThumbPreview(null);
+      return;
+    }
+    const url = URL.createObjectURL(thumbFile);
+    setThumbPreview(url);
+    return () => URL.revokeObjectURL(url);
+  }, [thumbFile]);
+
+  const generateThumb = async () => {
+    try {
+      if (kind === KINDS.VIDEO && videoFile) {
+        setThumbFile((await videoStills(videoFile)).thumb);
+      } else {
+        const sub = kind === KINDS.EXTERNAL ? "AR experience" : "3D story";
+        setThumbFile(await titleCard(title.trim(), sub));
+      }
+    } catch (e) {
+      alert("Thumbnail failed: " + e.message);
+    }
+  };
+
+  const save = async () => {
+    if (!title.trim()) return alert("Give the experience a title.");
+    if (kind === KINDS.GLB && !glbFile) return alert("Select a GLB model.");
+    if (kind === KINDS.VIDEO && !videoFile)
+      return alert("Select a 360° video.");
+    if (kind === KINDS.EXTERNAL && !isHttpsUrl(externalUrl.trim()))
+      return alert("Enter an https:// URL.");
+    const s = Number(scale);
+    if (!(s > 0)) return alert("Scale must be a positive number.");
+
+    const media = [];
+    if (kind === KINDS.GLB) media.push([glbFile, "glb"]);
+    if (kind === KINDS.GLB && audioFile) media.push([audioFile, "audio"]);
+    if (kind === KINDS.VIDEO) media.push([videoFile, "video"]);
+    if (thumbFile) media.push([thumbFile, "image"]);
+    try {
+      await assertMedia(media);
+    } catch (e) {
+      return alert(e.message);
+    }
+
+    // Outbox entry (see outbox.js): each file goes up to `path` and its
+    // URL lands in doc[field]
+    const files = [];
+    const add = (field, folder, blob, name) =>
+      files.push({
+        field,
+        path: `rooms/${roomId}/${folder}/${Date.now()}-${name}`,
+        blob,
+      });
+    const doc = {
+      roomId,
+      uid,
+      status,
+      title: title.trim(),
+    };
+    let stills = null;
+    if (kind === KINDS.GLB) {
+      add("glbUrl", "glb", glbFile, glbFile.name);
+      doc.scale = `${s} ${s} ${s}`;
+      if (audioFile) add("audioUrl", "audio", audioFile, audioFile.name);
+    } else if (kind === KINDS.VIDEO) {
+      // 360° video is kept at full resolution: downscaling an
+      // equirect frame blurs everything in view
+      add("videoUrl", "videos", videoFile, videoFile.name);
+      Object.assign(doc, await mediaFields(videoFile));
+      stills = await videoStills(videoFile).catch(() => null);
+      if (stills) add("posterUrl", "thumbs", stills.poster, "poster.jpg");
+    } else {
+      doc.externalUrl = externalUrl.trim();
+    }
+    const thumb =
+      thumbFile ||
+      stills?.thumb ||
+      (await titleCard(
+        doc.title,
+        kind === KINDS.EXTERNAL ? "AR experience" : "3D story"
+      ));
+    add("thumbUrl", "thumbs", thumb, "thumb.jpg");
+    const entry = { collection: "experiences", doc, media: files };
+
+    // No signal: keep it on the device and let the outbox send it later
+    const queue = async (e) => isNetworkError(e) && !!(await enqueue(entry));
+    await upload.run(
+      async (put) => {
+        if (!navigator.onLine) throw new Error("You're offline");
+        await submitEntry(entry, put);
+        onDone?.(doc);
+      },
+      {
+        totalBytes: files.reduce((n, m) => n + m.blob.size, 0),
+        onFail: queue,
+      }
+    );
+  };
+
+  return (
+    <div className="card" style={{ display: "grid", gap: 12 }}>
+      <div
+        className="row"
+        style={{ alignItems: "center", justifyContent: "space-between" }}
+      >
+        <h3 style={{ margin: 0 }}>Create experience</h3>
+        <span className="badge">
+          Room: <span className="kbd">{roomId || "—"}</span>
+        </span>
+      </div>
+
+      <div className="row" style={{ gap: 8 }}>
+        <button
+          className={kind === KINDS.GLB ? "ok" : "ghost"}
+          onClick={() => setKind(KINDS.GLB)}
+        >
+          🧊 GLB + Audio
+        </button>
+        <button
+          className={kind === KINDS.VIDEO ? "ok" : "ghost"}
+          onClick={() => setKind(KINDS.VIDEO)}
+        >
+          🌐 360° Video
+        </button>
+        <button
+          className={kind === KINDS.EXTERNAL ? "ok" : "ghost"}
+          onClick={() => setKind(KINDS.EXTERNAL)}
+        >
+          🔗 External URL
+        </button>
+      </div>
+
+      <div>
+        <label>Title</label>
+        <input
+          placeholder="Grandmother's kitchen"
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+        />
+      </div>
+
+      {kind === KINDS.GLB && (
+        <div className="row">
+          <div className="card" style={{ flex: 1 }}>
+            <label>Model (GLB)</label>
+            <input
+              type="file"
+              accept=".glb"
+              onChange={(e) => setGlbFile(e.target.files?.[0] || null)}
+            />
+          </div>
+          <div className="card" style={{ flex: 1 }}>
+            <label>Audio track (optional)</label>
+            <input
+              type="file"
+              accept="audio/*"
+              onChange={(e) => setAudioFile(e.target.files?.[0] || null)}
+            />
+          </div>
+          <div className="card" style={{ flex: "1 1 100%" }}>
+            <label>Scale: {Number(scale).toFixed(2)}×</label>
+            <input
+              type="range"
+              min="0.1"
+              max="3"
+              step="0.05"
+              value={scale}
+              onChange={(e) => setScale(e.target.value)}
+              style={{ padding: 0 }}
+            />
+          </div>
+        </div>
+      )}
+
+      {kind === KINDS.VIDEO && (
+        <div className="card">
+          <label>360° video (equirectangular mp4/webm)</label>
+          <input
+            type="file"
+            accept="video/*"
+            onChange={(e) => setVideoFile(e.target.files?.[0] || null)}
+          />
+        </div>
+      )}
+
+      {kind === KINDS.EXTERNAL && (
+        <div>
+          <label>Experience URL</label>
+          <input
+            placeholder="https://mywebar.com/p/…"
+            value={externalUrl}
+            onChange={(e) => setExternalUrl(e.target.value)}
+          />
+        </div>
+      )}
+
+      <div className="card" style={{ display: "grid", gap: 8 }}>
+        <label>Thumbnail</label>
+        <div className="row">
+          <input
+            type="file"
+            accept="image/*"
+            style={{ flex: 2 }}
+            onChange={(e) => setThumbFile(e.target.files?.[0] || null)}
+          />
+          <button className="ghost" style={{ flex: 1 }} onClick={generateThumb}>
+            Generate
+          </button>
+        </div>
+        {thumbPreview ? (
+          <img
+            src={thumbPreview}
+            alt="thumbnail preview"
+            style={{ width: "100%", borderRadius: 10 }}
+          />
+        ) : (
+          <small style={{ color: "#9aa0ae" }}>
+            Leave empty to generate one on save.
+          </small>
+        )}
+      </div>
+
+      <UploadProgress task={upload} />
+
+      <div className="row">
+        <button className="ghost" onClick={onBack} style={{ flex: 1 }}>
+          ← Back
+        </button>
+        <button disabled={saving} onClick={save} style={{ flex: 1 }}>
+          {saving ? "Saving…" : "Create"}
+        </button>
+      </div>
+    </div>
+  );
+}
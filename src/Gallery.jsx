@@ -0,0 +1,210 @@
+import React, { useState } from "react";
+import { formatDuration } from "./mediaFormats";
+import { featuredFirst } from "./moderation";
+import { useRoomClipsUpTo } from "./useRoomData";
+
+const PAGE_SIZE = 12;
+
+export const CLIP_TYPES = {
+  audio: "🎙 Voice",
+  video: "🎬 Video",
+  glb: "🧊 3D model",
+  text: "✍️ Text",
+};
+
+export const clipDate = (c) =>
+  new Date(
+    c.createdAt?.seconds ? c.createdAt.seconds * 1000 : Date.now()
+  ).toLocaleString();
+
+function ClipCard({ clip, onOpen }) {
+  return (
+    <button
+      className="card"
+      onClick={() => onOpen(clip.id)}
+      style={{
+        flex: "1 1 220px",
+        display: "grid",
+        gap: 6,
+        alignContent: "start",
+        textAlign: "left",
+        background: "#171a25",
+        color: "var(--text)",
+        fontWeight: 400,
+      }}
+    >
+      <div className="badge">
+        {clip.featured && "⭐ "}
+        {CLIP_TYPES[clip.type] || clip.type}
+        {clip.duration && ` · ${formatDuration(clip.duration)}`}
+      </div>
+      {clip.thumbUrl && (
+        <img
+          src={clip.thumbUrl}
+          alt=""
+          loading="lazy"
+          style={{
+            width: "100%",
+            aspectRatio: "16 / 9",
+            objectFit: "cover",
+            borderRadius: 10,
+          }}
+        />
+      )}
+      {clip.type === "text" && (
+        <div
+          lang={clip.lang || undefined}
+          style={{
+            whiteSpace: "pre-line",
+            display: "-webkit-box",
+            WebkitLineClamp: 4,
+            WebkitBoxOrient: "vertical",
+            overflow: "hidden",
+          }}
+        >
+          {clip.text}
+        </div>
+      )}
+      <small style={{ color: "#9aa0ae" }}>
+        {clip.authorName ? `${clip.authorName} · ` : ""}
+        {clipDate(clip)}
+      </small>
+    </button>
+  );
+}
+
+// Words in what was written or said, or in the author's name
+const matches = (c, q) =>
+  [c.text, c.transcript, c.authorName].some((s) =>
+    s?.toLowerCase().includes(q)
+  );
+
+// The room's approved clips, filterable by type and searchable. Pages are
+// loaded as they're opened: the query asks for the newest clips up to the
+// end of the furthest page seen, plus one to know whether there's more.
+// Searching needs every clip's words, so it loads them all.
+export default function Gallery({ roomId, dataRoomId, onOpen, onBack }) {
+  const [type, setType] = useState("all");
+  const [page, setPage] = useState(0);
+  const [furthest, setFurthest] = useState(0);
+  const [search, setSearch] = useState("");
+
+  const q = search.trim().toLowerCase();
+  const { items, loading, error } = useRoomClipsUpTo(dataRoomId, {
+    type: type === "all" ? null : type,
+    limit: q ? null : (furthest + 1) * PAGE_SIZE + 1,
+  });
+  const filtered = q ? items.filter((c) => matches(c, q)) : items;
+  const more = !q && filtered.length > (furthest + 1) * PAGE_SIZE;
+  const pages = Math.max(1, Math.ceil(filtered.length / PAGE_SIZE));
+  // the list is live; stay on a page that still exists
+  const current = Math.min(page, pages - 1);
+  const shown = featuredFirst(
+    filtered.slice(current * PAGE_SIZE, (current + 1) * PAGE_SIZE)
+  );
+  const hasNext = current < pages - 1 && (q || current < furthest || more);
+
+  const goTo = (p) => {
+    setPage(p);
+    setFurthest((f) => Math.max(f, p));
+  };
+
+  const restart = () => {
+    setPage(0);
+    setFurthest(0);
+  };
+
+  const filter = (t) => {
+    setType(t);
+    restart();
+  };
+
+  return (
+    <div className="card" style={{ display: "grid", gap: 12 }}>
+      <div
+        className="row"
+        style={{ alignItems: "center", justifyContent: "space-between" }}
+      >
+        <h3 style={{ margin: 0 }}>Stories</h3>
+        <span className="badge">
+          Room: <span className="kbd">{roomId}</span>
+        </span>
+      </div>
+
+      <input
+        type="search"
+        placeholder="Search what people wrote and said"
+        value={search}
+        onChange={(e) => {
+          setSearch(e.target.value);
+          restart();
+        }}
+      />
+
+      <div className="row" style={{ gap: 6 }}>
+        <button
+          className={type === "all" ? "ok" : "ghost"}
+          style={{ width: "auto" }}
+          onClick={() => filter("all")}
+        >
+          All
+        </button>
+        {Object.entries(CLIP_TYPES).map(([key, label]) => (
+          <button
+            key={key}
+            className={type === key ? "ok" : "ghost"}
+            style={{ width: "auto" }}
+            onClick={() => filter(key)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {loading && <div className="badge">Loading stories…</div>}
+      {error && (
+        <div className="badge" style={{ color: "var(--err)" }}>
+          Couldn't load stories: {error.message}
+        </div>
+      )}
+      {!loading && !error && !filtered.length && (
+        <div className="badge">
+          {q ? `Nothing matches “${search.trim()}”.` : "Nothing here yet."}
+        </div>
+      )}
+
+      <div className="row">
+        {shown.map((c) => (
+          <ClipCard key={c.id} clip={c} onOpen={onOpen} />
+        ))}
+      </div>
+
+      {(current > 0 || hasNext) && (
+        <div className="row" style={{ alignItems: "center", gap: 8 }}>
+          <button
+            className="ghost"
+            disabled={current === 0}
+            onClick={() => goTo(current - 1)}
+          >
+            ← Previous
+          </button>
+          <span className="badge">
+            Page {current + 1}
+            {q && ` of ${pages}`}
+          </span>
+          <button
+            className="ghost"
+            disabled={!hasNext}
+            onClick={() => goTo(current + 1)}
+          >
+            Next →
+          </button>
+        </div>
+      )}
+
+      <button className="ghost" onClick={onBack}>
+        ← Back
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,116 @@
+import React, { useEffect, useState } from "react";
+import { inspectGlb, modelWarnings } from "./glbInfo";
+import ModelViewer from "./ModelViewer";
+import { formatBytes } from "./uploads";
+
+// Chosen GLB before upload: orbitable preview at its AR size, animation
+// playback, and what the model will cost on a phone
+export default function GlbPreview({ file, scale, onScale }) {
+  const [url, setUrl] = useState(null);
+  const [info, setInfo] = useState(null);
+  const [error, setError] = useState(null);
+  const [size, setSize] = useState(null);
+  const [animation, setAnimation] = useState("");
+
+  useEffect(() => {
+    const u = URL.createObjectURL(file);
+    setUrl(u);
+    setInfo(null);
+    setError(null);
+    setSize(null);
+    setAnimation("");
+    let alive = true;
+    inspectGlb(file)
+      .then((i) => {
+        if (!alive) return;
+        setInfo(i);
+        setAnimation(i.animations[0] || "");
+      })
+      .catch((e) => alive && setError(e.message));
+    return () => {
+      alive = false;
+      URL.revokeObjectURL(u);
+    };
+  }, [file]);
+
+  const warnings = info ? modelWarnings(info) : [];
+  const largest = info?.textures.reduce(
+    (m, t) => Math.max(m, t.width || 0, t.height || 0),
+    0
+  );
+
+  return (
+    <div className="card" style={{ display: "grid", gap: 8 }}>
+      {url && (
+        <ModelViewer
+          url={url}
+          scale={scale}
+          animation={animation}
+          height="40vh"
+          onInfo={(i) => (i.error ? setError(i.error) : setSize(i.size))}
+        />
+      )}
+
+      <div className="row" style={{ alignItems: "center", gap: 8 }}>
+        <label style={{ flex: "1 1 160px" }}>
+          Size in the room: {scale}×
+          {size && ` (about ${size.x} × ${size.y} × ${size.z} m)`}
+        </label>
+        <input
+          type="range"
+          min="0.1"
+          max="3"
+          step="0.05"
+          value={scale}
+          onChange={(e) => onScale(Number(e.target.value))}
+          style={{ flex: "1 1 160px" }}
+        />
+      </div>
+
+      {info?.animations.length > 0 && (
+        <div>
+          <label>Animation</label>
+          <select
+            value={animation}
+            onChange={(e) => setAnimation(e.target.value)}
+          >
+            <option value="">None (still)</option>
+            {info.animations.map((a) => (
+              <option key={a} value={a}>
+                {a}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {error && (
+        <div className="badge" style={{ color: "var(--err)" }}>
+          {error}
+        </div>
+      )}
+      {!info && !error && <div className="badge">Checking model…</div>}
+      {info && (
+        <div className="row" style={{ gap: 6 }}>
+          <span className="badge">{formatBytes(info.bytes)}</span>
+          <span className="badge">
+            {info.triangles.toLocaleString()} triangles
+          </span>
+          <span className="badge">
+            {info.textures.length} texture(s)
+            {largest ? `, up to ${largest}px` : ""}
+          </span>
+          <span className="badge">{info.animations.length} animation(s)</span>
+        </div>
+      )}
+      {warnings.length > 0 && (
+        <div style={{ color: "var(--warn)", display: "grid", gap: 4 }}>
+          <b>Heavy for phones:</b>
+          {warnings.map((w) => (
+            <small key={w}>• {w}</small>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,102 @@
+import React, { useEffect, useRef } from "react";
+
+// One level (0..1, peak loudness) every LEVEL_MS of recording
+export const LEVEL_MS = 50;
+const BAR = 3; // px per level in the live view
+
+// Draws `levels` as a mirrored waveform. With `range` ({from, to} as
+// 0..1 of the take) everything is shown and the cut parts dimmed;
+// without, the newest levels scroll in from the right. `level` draws the
+// current loudness as a meter along the bottom.
+export function drawLevels(canvas, levels, { range, level } = {}) {
+  if (!canvas) return;
+  const dpr = window.devicePixelRatio || 1;
+  const w = canvas.clientWidth * dpr;
+  const h = canvas.clientHeight * dpr;
+  if (canvas.width !== w) canvas.width = w;
+  if (canvas.height !== h) canvas.height = h;
+  const g = canvas.getContext("2d");
+  g.clearRect(0, 0, w, h);
+
+  const meterH = level !== undefined ? 6 * dpr : 0;
+  const mid = (h - meterH) / 2;
+  const step = range ? w / Math.max(1, levels.length) : BAR * dpr;
+  const shown = range ? levels : levels.slice(-Math.floor(w / step));
+  const x0 = range ? 0 : w - shown.length * step;
+  shown.forEach((v, i) => {
+    const x = x0 + i * step;
+    const kept = !range || (x / w >= range.from && x / w <= range.to);
+    g.fillStyle = kept ? "#00bcd4" : "#3a3f4d";
+    const bh = Math.max(1, v * (mid - 2 * dpr));
+    g.fillRect(x, mid - bh, Math.max(1, step - dpr), bh * 2);
+  });
+
+  if (range) {
+    g.fillStyle = "#f3f4f6";
+    g.fillRect(range.from * w, 0, 2 * dpr, h);
+    g.fillRect(range.to * w - 2 * dpr, 0, 2 * dpr, h);
+  }
+  if (meterH) {
+    g.fillStyle = level > 0.9 ? "#ef5350" : level > 0.6 ? "#ffb74d" : "#66bb6a";
+    g.fillRect(0, h - meterH, w * level, meterH);
+  }
+}
+
+// Live meter and scrolling waveform for a MediaStream's audio. Levels are
+// also appended to `levelsRef` (paused time skipped) so the whole take
+// can be drawn again for trimming.
+export default function LevelMeter({ stream, paused, levelsRef }) {
+  const canvasRef = useRef(null);
+  const pausedRef = useRef(paused);
+  pausedRef.current = paused;
+
+  useEffect(() => {
+    if (!stream?.getAudioTracks().length) return;
+    const Ctx = window.AudioContext || window.webkitAudioContext;
+    const ctx = new Ctx();
+    const source = ctx.createMediaStreamSource(stream);
+    const analyser = ctx.createAnalyser();
+    analyser.fftSize = 1024;
+    source.connect(analyser);
+    const data = new Uint8Array(analyser.fftSize);
+    let raf;
+    let last = performance.now();
+    let peak = 0;
+
+    const tick = (now) => {
+      analyser.getByteTimeDomainData(data);
+      let sum = 0;
+      for (const v of data) sum += ((v - 128) / 128) ** 2;
+      // speech sits around 0.05–0.3 RMS; stretch it over the meter
+      const level = pausedRef.current
+        ? 0
+        : Math.min(1, Math.sqrt(sum / data.length) * 3);
+      peak = Math.max(peak, level);
+      if (now - last >= LEVEL_MS) {
+        if (!pausedRef.current) levelsRef.current.push(peak);
+        peak = 0;
+        last = now;
+      }
+      drawLevels(canvasRef.current, levelsRef.current, { level });
+      raf = requestAnimationFrame(tick);
+    };
+    raf = requestAnimationFrame(tick);
+    return () => {
+      cancelAnimationFrame(raf);
+      source.disconnect();
+      ctx.close();
+    };
+  }, [stream, levelsRef]);
+
+  return (
+    <canvas
+      ref={canvasRef}
+      style={{
+        width: "100%",
+        height: 72,
+        borderRadius: 10,
+        background: "#171a25",
+      }}
+    />
+  );
+}
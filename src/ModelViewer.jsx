@@ -0,0 +1,33 @@
+import React, { useEffect, useRef } from "react";
+import { AR_MESSAGES, useArScene } from "./arBridge";
+
+// Orbitable GLB preview (public/ar/viewer.html); works without AR.
+// Without `scale` the model is fitted to the view. `onInfo` receives
+// { size, animations } once it has loaded, or { error }.
+export default function ModelViewer({
+  url,
+  scale,
+  animation,
+  onInfo,
+  height = "50vh",
+}) {
+  const iframeRef = useRef(null);
+  const viewer = useArScene(iframeRef, (msg) => {
+    if (msg.type === AR_MESSAGES.MODEL_INFO) onInfo?.(msg.payload || {});
+  });
+
+  useEffect(() => {
+    if (!viewer.ready) return;
+    viewer.send(AR_MESSAGES.MODEL, {
+      url,
+      scale: scale ?? null,
+      animation: animation || null,
+    });
+  }, [viewer.ready, url, scale, animation]);
+
+  return (
+    <div className="iframe-wrap" style={{ height }}>
+      <iframe ref={iframeRef} src="/ar/viewer.html" title="3D model" />
+    </div>
+  );
+}
@@ -0,0 +1,330 @@
+import React, { useState } from "react";
+import { backend } from "./backend";
+import {
+  MODERATION,
+  REPORT_REASONS,
+  STATUS,
+  featuredFirst,
+  isRoomOwner,
+  statusOf,
+} from "./moderation";
+import { canTranscribe, transcribeClip } from "./transcription";
+import { useRoomQueue, useRoomReports } from "./useRoomData";
+
+const TABS = [
+  { key: STATUS.PENDING, label: "Pending" },
+  { key: "reported", label: "Reported" },
+  { key: STATUS.APPROVED, label: "Live" },
+  { key: STATUS.REJECTED, label: "Rejected" },
+  { key: STATUS.HIDDEN, label: "Hidden" },
+];
+
+const when = (t) =>
+  t?.seconds ? new Date(t.seconds * 1000).toLocaleString() : "just now";
+
+// Enough of a clip/experience to judge it without opening the AR view
+function Preview({ item }) {
+  if (item.collection === "experiences")
+    return (
+      <div style={{ display: "grid", gap: 6 }}>
+        <b>{item.title || "Untitled"}</b>
+        {item.thumbUrl && (
+          <img
+            src={item.thumbUrl}
+            alt=""
+            style={{ width: "100%", maxWidth: 320, borderRadius: 10 }}
+          />
+        )}
+        {item.externalUrl && (
+          <small style={{ wordBreak: "break-all", color: "#9aa0ae" }}>
+            {item.externalUrl}
+          </small>
+        )}
+      </div>
+    );
+  if (item.type === "text")
+    return (
+      <div lang={item.lang || undefined} style={{ whiteSpace: "pre-line" }}>
+        {item.text}
+      </div>
+    );
+  if (item.type === "video")
+    return (
+      <video
+        className="preview"
+        src={item.url}
+        poster={item.posterUrl || undefined}
+        controls
+      />
+    );
+  if (item.type === "audio")
+    return <audio controls src={item.url} style={{ width: "100%" }} />;
+  return (
+    <a href={item.url} target="_blank" rel="noopener noreferrer">
+      Open {item.type} file
+    </a>
+  );
+}
+
+function QueueItem({ item, reports, onDismissReports }) {
+  const [busy, setBusy] = useState(false);
+  const [progress, setProgress] = useState(null); // transcribing, 0..1
+  const status = statusOf(item);
+
+  const act = async (patch) => {
+    setBusy(true);
+    try {
+      await backend.update(item.collection, item.id, patch);
+    } catch (e) {
+      alert("Could not update: " + e.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Transcripts are only made on request (see transcription/index.js)
+  const transcribe = async () => {
+    setBusy(true);
+    setProgress(0);
+    try {
+      await transcribeClip(item, null, { onProgress: setProgress });
+    } catch (e) {
+      alert("Could not transcribe: " + e.message);
+    } finally {
+      setBusy(false);
+      setProgress(null);
+    }
+  };
+
+  return (
+    <div className="card" style={{ display: "grid", gap: 8 }}>
+      <div className="row" style={{ alignItems: "center", gap: 8 }}>
+        <span className="badge">
+          {item.collection === "experiences" ? "experience" : item.type}
+        </span>
+        <span className="badge">{item.status || "not reviewed"}</span>
+        {item.featured && <span className="badge">⭐ Featured</span>}
+        <small style={{ color: "#9aa0ae" }}>
+          {item.authorName || "Anonymous"} · {when(item.createdAt)}
+        </small>
+      </div>
+
+      <Preview item={item} />
+      {item.transcript && (
+        <small style={{ color: "#9aa0ae" }}>“{item.transcript}”</small>
+      )}
+
+      {reports.length > 0 && (
+        <div className="card" style={{ display: "grid", gap: 4 }}>
+          <b style={{ color: "var(--warn)" }}>
+            {reports.length} {reports.length === 1 ? "report" : "reports"}
+          </b>
+          {reports.map((r) => (
+            <small key={r.id} style={{ color: "#9aa0ae" }}>
+              {REPORT_REASONS[r.reason] || r.reason} · {when(r.createdAt)}
+            </small>
+          ))}
+        </div>
+      )}
+
+      <div className="row" style={{ gap: 8 }}>
+        {status !== STATUS.APPROVED && (
+          <button
+            className="ok"
+            disabled={busy}
+            onClick={() => act({ status: STATUS.APPROVED })}
+          >
+            ✓ Approve
+          </button>
+        )}
+        {status === STATUS.PENDING && (
+          <button
+            className="err"
+            disabled={busy}
+            onClick={() => act({ status: STATUS.REJECTED })}
+          >
+            ✕ Reject
+          </button>
+        )}
+        {status === STATUS.APPROVED && (
+          <>
+            <button
+              className="ghost"
+              disabled={busy}
+              onClick={() => act({ featured: !item.featured })}
+            >
+              {item.featured ? "Unfeature" : "⭐ Feature"}
+            </button>
+            <button
+              className="warn"
+              disabled={busy}
+              onClick={() => act({ status: STATUS.HIDDEN, featured: false })}
+            >
+              Hide
+            </button>
+          </>
+        )}
+        {item.collection === "clips" && canTranscribe(item) && (
+          <button className="ghost" disabled={busy} onClick={transcribe}>
+            {progress !== null
+              ? `Transcribing… ${Math.round(progress * 100)}%`
+              : item.captions
+              ? "Redo transcript"
+              : "📝 Transcribe"}
+          </button>
+        )}
+        {reports.length > 0 && (
+          <button
+            className="ghost"
+            disabled={busy}
+            onClick={() => onDismissReports(reports)}
+          >
+            Dismiss reports
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Room owner's view: approval mode, the review queue and visitor reports
+export default function ModerationDashboard({ roomId, room, user, onBack }) {
+  const [tab, setTab] = useState(STATUS.PENDING);
+  const owner = isRoomOwner(room, user);
+  const clips = useRoomQueue("clips", owner ? roomId : null);
+  const experiences = useRoomQueue("experiences", owner ? roomId : null);
+  const reports = useRoomReports(owner ? roomId : null);
+  const error = clips.error || experiences.error || reports.error;
+
+  const items = featuredFirst([
+    ...clips.items.map((c) => ({ ...c, collection: "clips" })),
+    ...experiences.items.map((e) => ({ ...e, collection: "experiences" })),
+  ]);
+  const reportsFor = (item) =>
+    reports.items.filter(
+      (r) => r.itemId === item.id && r.collection === item.collection
+    );
+  const shown =
+    tab === "reported"
+      ? items.filter((i) => reportsFor(i).length)
+      : items.filter((i) => statusOf(i) === tab);
+  const count = (key) =>
+    key === "reported"
+      ? items.filter((i) => reportsFor(i).length).length
+      : items.filter((i) => statusOf(i) === key).length;
+
+  const saveRoom = async (data) => {
+    try {
+      await backend.set("rooms", roomId, data);
+    } catch (e) {
+      alert("Could not save room: " + e.message);
+    }
+  };
+
+  const dismissReports = async (list) => {
+    try {
+      await Promise.all(list.map((r) => backend.remove("reports", r.id)));
+    } catch (e) {
+      alert("Could not dismiss: " + e.message);
+    }
+  };
+
+  const approveAll = async () => {
+    const pending = items.filter((i) => statusOf(i) === STATUS.PENDING);
+    if (!confirm(`Approve all ${pending.length} pending stories?`)) return;
+    try {
+      await Promise.all(
+        pending.map((i) =>
+          backend.update(i.collection, i.id, { status: STATUS.APPROVED })
+        )
+      );
+    } catch (e) {
+      alert("Could not approve: " + e.message);
+    }
+  };
+
+  const header = (
+    <div
+      className="row"
+      style={{ alignItems: "center", justifyContent: "space-between" }}
+    >
+      <h3 style={{ margin: 0 }}>Moderation</h3>
+      <span className="badge">
+        Room: <span className="kbd">{roomId}</span>
+      </span>
+    </div>
+  );
+
+  if (!owner)
+    return (
+      <div className="card" style={{ display: "grid", gap: 12 }}>
+        {header}
+        <div className="badge">Only the room's owner can moderate it.</div>
+        <button className="ghost" onClick={onBack}>
+          ← Back
+        </button>
+      </div>
+    );
+
+  return (
+    <div className="card" style={{ display: "grid", gap: 12 }}>
+      {header}
+
+      <div>
+        <label>New stories</label>
+        <select
+          value={room.moderation || MODERATION.OPEN}
+          onChange={(e) => saveRoom({ moderation: e.target.value })}
+        >
+          <option value={MODERATION.OPEN}>Appear right away</option>
+          <option value={MODERATION.APPROVAL}>Wait for my approval</option>
+        </select>
+      </div>
+
+      {error && (
+        <div className="badge" style={{ color: "var(--err)" }}>
+          Couldn't load the queue: {error.message}
+        </div>
+      )}
+
+      <div className="row" style={{ gap: 8 }}>
+        {TABS.map((t) => (
+          <button
+            key={t.key}
+            className={tab === t.key ? "" : "ghost"}
+            style={{ flex: "1 1 100px" }}
+            onClick={() => setTab(t.key)}
+          >
+            {t.label} ({count(t.key)})
+          </button>
+        ))}
+      </div>
+
+      {tab === STATUS.PENDING && shown.length > 1 && (
+        <button className="ok" onClick={approveAll}>
+          Approve all pending
+        </button>
+      )}
+
+      {(clips.loading || experiences.loading) && (
+        <div className="badge">Loading…</div>
+      )}
+      {!clips.loading && !experiences.loading && !shown.length && (
+        <div className="badge">Nothing here.</div>
+      )}
+
+      {shown.map((item) => (
+        <QueueItem
+          key={`${item.collection}/${item.id}`}
+          item={item}
+          reports={reportsFor(item)}
+          onDismissReports={dismissReports}
+        />
+      ))}
+
+      <button className="ghost" onClick={onBack}>
+        ← Back
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,238 @@
+import React, { useState } from "react";
+import { backend } from "./backend";
+import { signOut, useAuth } from "./auth";
+import { EmailLinkForm } from "./SignIn";
+import { STATUS, initialStatus } from "./moderation";
+import { useUserClips, useUserExperiences } from "./useRoomData";
+
+// Uploaded files referenced by clips/experiences (externalUrl is a site)
+const MEDIA_FIELDS = [
+  "url",
+  "glbUrl",
+  "audioUrl",
+  "videoUrl",
+  "thumbUrl",
+  "posterUrl",
+];
+
+const when = (t) =>
+  t?.seconds ? new Date(t.seconds * 1000).toLocaleString() : "just now";
+
+// The doc first, then its files; a leftover file is harmless, a story
+// pointing at a deleted file isn't
+async function removeStory(collection, item) {
+  await backend.remove(collection, item.id);
+  await Promise.all(
+    MEDIA_FIELDS.filter((f) => typeof item[f] === "string").map((f) =>
+      backend.removeMedia(item[f]).catch(() => {})
+    )
+  );
+}
+
+// One clip or experience with inline editing of its text fields
+function StoryRow({ collection, item, fields, summary }) {
+  const [draft, setDraft] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const act = async (fn) => {
+    setBusy(true);
+    try {
+      await fn();
+    } catch (e) {
+      alert("Something went wrong: " + e.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const save = () =>
+    act(async () => {
+      const patch = {};
+      for (const f of fields) patch[f.key] = (draft[f.key] || "").trim();
+      // Edited text goes back through review in approval rooms
+      const room = await backend.get("rooms", item.roomId);
+      if (initialStatus(room) === STATUS.PENDING) patch.status = STATUS.PENDING;
+      await backend.update(collection, item.id, patch);
+      setDraft(null);
+    });
+
+  const edit = (key) => (e) => setDraft({ ...draft, [key]: e.target.value });
+
+  const remove = () => {
+    if (!confirm("Delete this for everyone? This can't be undone.")) return;
+    act(() => removeStory(collection, item));
+  };
+
+  return (
+    <div className="card" style={{ display: "grid", gap: 8 }}>
+      <div className="row" style={{ alignItems: "center", gap: 8 }}>
+        <span className="badge">{summary}</span>
+        {item.status && item.status !== STATUS.APPROVED && (
+          <span className="badge" style={{ color: "var(--warn)" }}>
+            {item.status}
+          </span>
+        )}
+        <span className="badge">
+          Room: <span className="kbd">{item.roomId}</span>
+        </span>
+        <small style={{ color: "#9aa0ae" }}>{when(item.createdAt)}</small>
+      </div>
+
+      {draft
+        ? fields.map((f) => (
+            <div key={f.key}>
+              <label>{f.label}</label>
+              {f.multiline ? (
+                <textarea
+                  rows={4}
+                  maxLength={f.max}
+                  value={draft[f.key] || ""}
+                  onChange={edit(f.key)}
+                  style={{ resize: "vertical", font: "inherit" }}
+                />
+              ) : (
+                <input
+                  maxLength={f.max}
+                  value={draft[f.key] || ""}
+                  onChange={edit(f.key)}
+                />
+              )}
+            </div>
+          ))
+        : fields
+            .filter((f) => item[f.key])
+            .map((f) => (
+              <div key={f.key} style={{ whiteSpace: "pre-wrap" }}>
+                <small style={{ color: "#9aa0ae" }}>{f.label}: </small>
+                {item[f.key]}
+              </div>
+            ))}
+
+      <div className="row" style={{ gap: 8 }}>
+        {draft ? (
+          <>
+            <button className="ghost" onClick={() => setDraft(null)}>
+              Cancel
+            </button>
+            <button disabled={busy} onClick={save}>
+              Save
+            </button>
+          </>
+        ) : (
+          <>
+            {fields.length > 0 && (
+              <button
+                className="ghost"
+                disabled={busy}
+                onClick={() => setDraft({ ...item })}
+              >
+                ✏️ Edit
+              </button>
+            )}
+            <button className="warn" disabled={busy} onClick={remove}>
+              🗑 Delete
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+const clipFields = (c) => [
+  { key: "authorName", label: "Name", max: 60 },
+  ...(c.type === "text"
+    ? [{ key: "text", label: "Text", max: 480, multiline: true }]
+    : []),
+];
+
+const GUEST_SIGN_OUT =
+  "Guests can't sign back in, so you won't be able to edit these stories " +
+  "any more. Sign out?";
+
+const EXPERIENCE_FIELDS = [{ key: "title", label: "Title", max: 120 }];
+
+// Everything the signed-in contributor has added, across rooms
+export default function MyStories({ onBack }) {
+  const { user } = useAuth();
+  const uid = user?.uid;
+  const clips = useUserClips(uid);
+  const experiences = useUserExperiences(uid);
+  const error = clips.error || experiences.error;
+
+  return (
+    <div className="card" style={{ display: "grid", gap: 12 }}>
+      <div
+        className="row"
+        style={{ alignItems: "center", justifyContent: "space-between" }}
+      >
+        <h3 style={{ margin: 0 }}>My stories</h3>
+        {user && (
+          <span className="badge">
+            {user.isAnonymous ? "Guest on this device" : user.email}
+          </span>
+        )}
+      </div>
+
+      {user?.isAnonymous && (
+        <div className="card" style={{ display: "grid", gap: 8 }}>
+          <b>Keep your stories</b>
+          <small style={{ color: "#9aa0ae" }}>
+            Guest stories can only be managed from this browser. Add your email
+            to reach them from any device.
+          </small>
+          <EmailLinkForm label="Add my email" />
+        </div>
+      )}
+
+      {error && (
+        <div className="badge" style={{ color: "var(--err)" }}>
+          Couldn't load your stories: {error.message}
+        </div>
+      )}
+      {(clips.loading || experiences.loading) && (
+        <div className="badge">Loading…</div>
+      )}
+
+      {clips.items.map((c) => (
+        <StoryRow
+          key={c.id}
+          collection="clips"
+          item={c}
+          fields={clipFields(c)}
+          summary={c.type}
+        />
+      ))}
+      {experiences.items.map((ex) => (
+        <StoryRow
+          key={ex.id}
+          collection="experiences"
+          item={ex}
+          fields={EXPERIENCE_FIELDS}
+          summary="experience"
+        />
+      ))}
+      {user &&
+        !clips.loading &&
+        !experiences.loading &&
+        !clips.items.length &&
+        !experiences.items.length && <div className="badge">Nothing yet.</div>}
+
+      <div className="row">
+        <button className="ghost" onClick={onBack}>
+          ← Back
+        </button>
+        {user && (
+          <button
+            className="ghost"
+            onClick={() => {
+              if (!user.isAnonymous || confirm(GUEST_SIGN_OUT)) signOut();
+            }}
+          >
+            Sign out
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
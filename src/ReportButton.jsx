@@ -0,0 +1,65 @@
+import React, { useState } from "react";
+import { signInAnonymously } from "./auth";
+import { REPORT_REASONS, reportStory } from "./moderation";
+
+// "Report" link under a story; reasons open inline. Reporting signs the
+// visitor in anonymously if needed, so reports can't be sent in bulk
+// without an identity.
+export default function ReportButton({ roomId, collection, item, user }) {
+  const [open, setOpen] = useState(false);
+  const [reason, setReason] = useState("offensive");
+  const [state, setState] = useState("idle"); // idle | sending | sent
+
+  const send = async () => {
+    setState("sending");
+    try {
+      const u = user || (await signInAnonymously());
+      await reportStory({ roomId, collection, item, reason, uid: u.uid });
+      setState("sent");
+    } catch (e) {
+      alert("Could not send report: " + e.message);
+      setState("idle");
+    }
+  };
+
+  if (state === "sent")
+    return <small style={{ color: "#9aa0ae" }}>Thanks, reported.</small>;
+  if (!open)
+    return (
+      <button
+        className="ghost"
+        style={{ padding: "6px 10px", fontWeight: 600 }}
+        onClick={() => setOpen(true)}
+      >
+        ⚑ Report
+      </button>
+    );
+  return (
+    <div style={{ display: "grid", gap: 6 }}>
+      <select value={reason} onChange={(e) => setReason(e.target.value)}>
+        {Object.entries(REPORT_REASONS).map(([key, label]) => (
+          <option key={key} value={key}>
+            {label}
+          </option>
+        ))}
+      </select>
+      <div className="row" style={{ gap: 6 }}>
+        <button
+          className="ghost"
+          style={{ flex: 1 }}
+          onClick={() => setOpen(false)}
+        >
+          Cancel
+        </button>
+        <button
+          className="warn"
+          style={{ flex: 1 }}
+          disabled={state === "sending"}
+          onClick={send}
+        >
+          Send report
+        </button>
+      </div>
+    </div>
+  );
+}
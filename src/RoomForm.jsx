@@ -0,0 +1,231 @@
+import React, { useEffect, useState } from "react";
+import { backend } from "./backend";
+import { MODERATION } from "./moderation";
+import { isValidRoomId } from "./qrPayload";
+import {
+  ROOM_DEFAULTS,
+  ACCESS_CODE_MIN,
+  MAX_CLIP_SECONDS,
+  VISIBILITY,
+  accessCodeProblem,
+  createRoom,
+  getAccessCode,
+  slugify,
+  updateRoom,
+} from "./rooms";
+import { validateMedia } from "./uploads";
+
+const TITLE_MAX = 80;
+const DESCRIPTION_MAX = 500;
+
+// Creates a room (no `room`) or edits the settings of `roomId`
+export default function RoomForm({ roomId, room, user, onSaved, onCancel }) {
+  const editing = !!room;
+  const initial = { ...ROOM_DEFAULTS, ...(room || {}) };
+  const [title, setTitle] = useState(initial.title);
+  const [id, setId] = useState(roomId || "");
+  const [idTouched, setIdTouched] = useState(false);
+  const [description, setDescription] = useState(initial.description);
+  const [visibility, setVisibility] = useState(initial.visibility);
+  const [accessCode, setAccessCode] = useState("");
+  // the code as saved, which may predate the length check
+  const [savedCode, setSavedCode] = useState("");
+  const [moderation, setModeration] = useState(initial.moderation);
+  const [maxClipSeconds, setMaxClipSeconds] = useState(initial.maxClipSeconds);
+  const [coverFile, setCoverFile] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  // Start over from the saved settings for another room, but not on every
+  // snapshot of this one (that would drop edits in progress). Owners see
+  // the current code when editing.
+  useEffect(() => {
+    const saved = { ...ROOM_DEFAULTS, ...(room || {}) };
+    setTitle(saved.title);
+    setId(roomId || "");
+    setIdTouched(false);
+    setDescription(saved.description);
+    setVisibility(saved.visibility);
+    setAccessCode("");
+    setSavedCode("");
+    setModeration(saved.moderation);
+    setMaxClipSeconds(saved.maxClipSeconds);
+    setCoverFile(null);
+    if (editing)
+      getAccessCode(roomId).then((code) => {
+        setAccessCode(code);
+        setSavedCode(code);
+      });
+  }, [editing, roomId]);
+
+  const onTitle = (v) => {
+    setTitle(v);
+    if (!editing && !idTouched) setId(slugify(v));
+  };
+
+  const save = async () => {
+    if (!title.trim()) return alert("Give the room a name.");
+    if (!editing && !isValidRoomId(id))
+      return alert("The room ID can use letters, numbers, - and _ only.");
+    const secs = Number(maxClipSeconds);
+    if (!(secs >= 10 && secs <= MAX_CLIP_SECONDS))
+      return alert(`Allow recordings of between 10 and ${MAX_CLIP_SECONDS} s.`);
+    const code = visibility === VISIBILITY.PRIVATE ? accessCode.trim() : "";
+    if (visibility === VISIBILITY.PRIVATE && !code)
+      if (!confirm("Without an access code only you can open this room. OK?"))
+        return;
+    const codeProblem = code && code !== savedCode && accessCodeProblem(code);
+    if (codeProblem) return alert(codeProblem);
+
+    setSaving(true);
+    try {
+      const data = {
+        title: title.trim().slice(0, TITLE_MAX),
+        description: description.trim().slice(0, DESCRIPTION_MAX),
+        visibility,
+        moderation,
+        maxClipSeconds: Math.round(secs),
+      };
+      if (coverFile) {
+        const problems = await validateMedia(coverFile, "image");
+        if (problems.length) return alert(problems.join("\n"));
+        data.coverUrl = await backend.uploadMedia(
+          `rooms/${id}/cover/${Date.now()}-${coverFile.name}`,
+          coverFile
+        );
+      }
+      if (editing) await updateRoom(id, data, { accessCode: code });
+      else await createRoom(id, data, { accessCode: code, uid: user.uid });
+      onSaved?.(id);
+    } catch (e) {
+      alert("Could not save the room: " + e.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="card" style={{ display: "grid", gap: 12 }}>
+      <h3 style={{ margin: 0 }}>{editing ? "Room details" : "New room"}</h3>
+
+      <div>
+        <label>Name</label>
+        <input
+          placeholder="Hiro Square, 1st floor"
+          maxLength={TITLE_MAX}
+          value={title}
+          onChange={(e) => onTitle(e.target.value)}
+        />
+      </div>
+
+      <div>
+        <label>Room ID {editing && "(can't be changed)"}</label>
+        <input
+          placeholder="hiro-square-1st-floor"
+          value={id}
+          disabled={editing}
+          onChange={(e) => {
+            setIdTouched(true);
+            setId(e.target.value.trim());
+          }}
+          style={
+            !id || isValidRoomId(id)
+              ? undefined
+              : { outline: "1px solid var(--err)" }
+          }
+        />
+        {!editing && (
+          <small style={{ color: "#9aa0ae" }}>
+            Goes into the room's link and QR code.
+          </small>
+        )}
+      </div>
+
+      <div>
+        <label>Description</label>
+        <textarea
+          rows={3}
+          maxLength={DESCRIPTION_MAX}
+          value={description}
+          onChange={(e) => setDescription(e.target.value)}
+          style={{ resize: "vertical", font: "inherit" }}
+        />
+      </div>
+
+      <div>
+        <label>Cover image</label>
+        {initial.coverUrl && !coverFile && (
+          <img
+            src={initial.coverUrl}
+            alt=""
+            style={{ width: "100%", maxWidth: 320, borderRadius: 10 }}
+          />
+        )}
+        <input
+          type="file"
+          accept="image/*"
+          onChange={(e) => setCoverFile(e.target.files?.[0] || null)}
+        />
+      </div>
+
+      <div className="row">
+        <div style={{ flex: 1 }}>
+          <label>Who can open it</label>
+          <select
+            value={visibility}
+            onChange={(e) => setVisibility(e.target.value)}
+          >
+            <option value={VISIBILITY.PUBLIC}>Anyone (listed)</option>
+            <option value={VISIBILITY.UNLISTED}>Anyone with the link</option>
+            <option value={VISIBILITY.PRIVATE}>
+              Only with the access code
+            </option>
+          </select>
+        </div>
+        {visibility === VISIBILITY.PRIVATE && (
+          <div style={{ flex: 1 }}>
+            <label>Access code</label>
+            <input
+              placeholder="e.g. garden42"
+              minLength={ACCESS_CODE_MIN}
+              value={accessCode}
+              onChange={(e) => setAccessCode(e.target.value)}
+            />
+          </div>
+        )}
+      </div>
+
+      <div className="row">
+        <div style={{ flex: 1 }}>
+          <label>New stories</label>
+          <select
+            value={moderation}
+            onChange={(e) => setModeration(e.target.value)}
+          >
+            <option value={MODERATION.OPEN}>Appear right away</option>
+            <option value={MODERATION.APPROVAL}>Wait for my approval</option>
+          </select>
+        </div>
+        <div style={{ flex: 1 }}>
+          <label>Max recording length (s)</label>
+          <input
+            type="number"
+            min="10"
+            max={MAX_CLIP_SECONDS}
+            step="10"
+            value={maxClipSeconds}
+            onChange={(e) => setMaxClipSeconds(e.target.value)}
+          />
+        </div>
+      </div>
+
+      <div className="row">
+        <button className="ghost" onClick={onCancel} style={{ flex: 1 }}>
+          Cancel
+        </button>
+        <button disabled={saving} onClick={save} style={{ flex: 1 }}>
+          {saving ? "Saving…" : editing ? "Save room" : "Create room"}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,59 @@
+import React, { useState } from "react";
+import { signInAnonymously } from "./auth";
+import { joinRoom } from "./rooms";
+
+// Stands in for a room's screens when it can't be used: it doesn't exist
+// (yet), or it's private and this visitor hasn't entered its code
+export default function RoomGate({ roomId, room, user, onCreate, onBack }) {
+  const [code, setCode] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const join = async () => {
+    setBusy(true);
+    try {
+      const u = user || (await signInAnonymously());
+      await joinRoom(roomId, u.uid, code.trim());
+    } catch (e) {
+      alert(e.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="card" style={{ display: "grid", gap: 12 }}>
+      {!room ? (
+        <>
+          <h3 style={{ margin: 0 }}>No room called “{roomId}”</h3>
+          <small style={{ color: "#9aa0ae" }}>
+            Check the code or link you were given, or set the room up now if
+            it's yours.
+          </small>
+          <button className="ok" onClick={onCreate}>
+            Set up “{roomId}”
+          </button>
+        </>
+      ) : (
+        <>
+          <h3 style={{ margin: 0 }}>{room.title || roomId}</h3>
+          <small style={{ color: "#9aa0ae" }}>
+            This room is private. Enter the access code you were given.
+          </small>
+          <input
+            placeholder="Access code"
+            autoComplete="off"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && code.trim() && join()}
+          />
+          <button disabled={busy || !code.trim()} onClick={join}>
+            Enter room
+          </button>
+        </>
+      )}
+      <button className="ghost" onClick={onBack}>
+        ← Back
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,129 @@
+import React, { useEffect, useState } from "react";
+import { backend } from "./backend";
+import { isValidRoomId } from "./qrPayload";
+import { recentRooms } from "./rooms";
+import { usePublicRooms } from "./useRoomData";
+
+function RoomCard({ room, onOpen }) {
+  return (
+    <button
+      className="card"
+      onClick={() => onOpen(room.id)}
+      style={{
+        flex: "1 1 220px",
+        display: "grid",
+        gap: 6,
+        textAlign: "left",
+        background: "#171a25",
+        color: "var(--text)",
+        fontWeight: 400,
+      }}
+    >
+      {room.coverUrl && (
+        <img
+          src={room.coverUrl}
+          alt=""
+          style={{
+            width: "100%",
+            aspectRatio: "16 / 9",
+            objectFit: "cover",
+            borderRadius: 10,
+          }}
+        />
+      )}
+      <b>{room.title || room.id}</b>
+      {room.description && (
+        <small
+          style={{
+            color: "#9aa0ae",
+            display: "-webkit-box",
+            WebkitLineClamp: 2,
+            WebkitBoxOrient: "vertical",
+            overflow: "hidden",
+          }}
+        >
+          {room.description}
+        </small>
+      )}
+    </button>
+  );
+}
+
+// HOME without a room: rooms opened here before, listed rooms, a room ID
+// box for unlisted ones, scanning and creating
+export default function RoomPicker({ onOpen, onScan, onCreate }) {
+  const listed = usePublicRooms();
+  const [recent, setRecent] = useState([]);
+  const [typed, setTyped] = useState("");
+
+  useEffect(() => {
+    let alive = true;
+    Promise.all(
+      recentRooms().map((id) => backend.get("rooms", id).catch(() => null))
+    ).then((docs) => {
+      if (alive) setRecent(docs.filter(Boolean));
+    });
+    return () => {
+      alive = false;
+    };
+  }, []);
+
+  const open = () => {
+    const id = typed.trim();
+    if (!isValidRoomId(id)) return alert("That doesn't look like a room ID.");
+    onOpen(id);
+  };
+
+  return (
+    <div style={{ display: "grid", gap: 12 }}>
+      <div className="row">
+        <button onClick={onScan}>Scan a room code</button>
+        <button className="ok" onClick={onCreate}>
+          + Create a room
+        </button>
+      </div>
+
+      {recent.length > 0 && (
+        <>
+          <b>Your recent rooms</b>
+          <div className="row">
+            {recent.map((r) => (
+              <RoomCard key={r.id} room={r} onOpen={onOpen} />
+            ))}
+          </div>
+        </>
+      )}
+
+      <b>Rooms</b>
+      {listed.loading && <div className="badge">Loading rooms…</div>}
+      {listed.error && (
+        <div className="badge" style={{ color: "var(--err)" }}>
+          Couldn't load rooms: {listed.error.message}
+        </div>
+      )}
+      {!listed.loading && !listed.error && !listed.items.length && (
+        <div className="badge">No public rooms yet.</div>
+      )}
+      <div className="row">
+        {listed.items.map((r) => (
+          <RoomCard key={r.id} room={r} onOpen={onOpen} />
+        ))}
+      </div>
+
+      <hr className="sep" />
+
+      <label>Have a room ID?</label>
+      <div className="row" style={{ flexWrap: "nowrap" }}>
+        <input
+          placeholder="hiro-square-1st-floor"
+          value={typed}
+          onChange={(e) => setTyped(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && open()}
+        />
+        <button className="ghost" style={{ width: "auto" }} onClick={open}>
+          Open
+        </button>
+      </div>
+    </div>
+  );
+}
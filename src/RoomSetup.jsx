@@ -0,0 +1,271 @@
+import React, { useEffect, useState } from "react";
+import QRCode from "qrcode";
+import { backend } from "./backend";
+import { DEFAULT_MARKER, MARKER_TYPES, qrMarker } from "./markers";
+import { roomLink } from "./qrPayload";
+import { validateMedia } from "./uploads";
+
+// Encoded locally; installations shouldn't depend on a QR web service
+const QR_OPTS = { errorCorrectionLevel: "M", margin: 2 };
+
+const download = (href, filename) => {
+  const a = document.createElement("a");
+  a.href = href;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+};
+
+// Inline SVG QR for `text` plus SVG/PNG download buttons
+function QrCode({ text, filename, size = 220, showLinks = true }) {
+  const [svg, setSvg] = useState("");
+
+  useEffect(() => {
+    let alive = true;
+    QRCode.toString(text, { ...QR_OPTS, type: "svg" }).then((s) => {
+      if (alive) setSvg(s);
+    });
+    return () => {
+      alive = false;
+    };
+  }, [text]);
+
+  const downloadSvg = () => {
+    const blob = new Blob([svg], { type: "image/svg+xml" });
+    const url = URL.createObjectURL(blob);
+    download(url, `${filename}.svg`);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  };
+
+  const downloadPng = async () => {
+    const dataUrl = await QRCode.toDataURL(text, { ...QR_OPTS, width: 1024 });
+    download(dataUrl, `${filename}.png`);
+  };
+
+  return (
+    <div style={{ display: "grid", gap: 8, justifyItems: "center" }}>
+      <div
+        className="qr"
+        style={{ width: size, height: size }}
+        dangerouslySetInnerHTML={{ __html: svg }}
+      />
+      {showLinks && (
+        <div className="row" style={{ gap: 8, width: "100%" }}>
+          <button className="ghost" style={{ flex: 1 }} onClick={downloadSvg}>
+            ⬇️ SVG
+          </button>
+          <button className="ghost" style={{ flex: 1 }} onClick={downloadPng}>
+            ⬇️ PNG
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Which printed marker the marker page (public/ar/index.html) tracks as
+// the room origin; saved on the `rooms/{roomId}` doc.
+function MarkerSettings({ roomId, marker }) {
+  const saved = { ...DEFAULT_MARKER, ...(marker || {}) };
+  const [type, setType] = useState(saved.type);
+  const [size, setSize] = useState(saved.size * 100);
+  const [pattFile, setPattFile] = useState(null);
+  const [qrPng, setQrPng] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (type !== MARKER_TYPES.QR) return;
+    let alive = true;
+    qrMarker(roomId).then(({ png }) => {
+      if (alive) setQrPng(png);
+    });
+    return () => {
+      alive = false;
+    };
+  }, [type, roomId]);
+
+  const save = async () => {
+    const metres = Number(size) / 100;
+    if (!(metres > 0)) return alert("Enter the printed marker width in cm.");
+    const next = { type, size: metres };
+    setSaving(true);
+    try {
+      if (type === MARKER_TYPES.PATTERN) {
+        if (pattFile) {
+          const problems = await validateMedia(pattFile, "pattern");
+          if (problems.length) return alert(problems.join("\n"));
+          next.patternUrl = await backend.uploadMedia(
+            `rooms/${roomId}/marker/${Date.now()}-${pattFile.name}`,
+            pattFile
+          );
+        } else if (saved.patternUrl) {
+          next.patternUrl = saved.patternUrl;
+        } else {
+          return alert("Choose a .patt file for the marker.");
+        }
+      }
+      await backend.set("rooms", roomId, { marker: next });
+      setPattFile(null);
+    } catch (e) {
+      alert("Could not save marker: " + e.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="card" style={{ display: "grid", gap: 8 }}>
+      <b>Room marker</b>
+      <small style={{ color: "#9aa0ae" }}>
+        Used by "Use room marker" on phones without floor detection. Stories
+        are placed around the marker, so print it and fix it flat in the room.
+      </small>
+      <label>Marker</label>
+      <select value={type} onChange={(e) => setType(e.target.value)}>
+        <option value={MARKER_TYPES.HIRO}>Hiro (AR.js sample marker)</option>
+        <option value={MARKER_TYPES.QR}>This room's QR code</option>
+        <option value={MARKER_TYPES.PATTERN}>Custom pattern (.patt)</option>
+      </select>
+
+      {type === MARKER_TYPES.PATTERN && (
+        <>
+          <label>Pattern file</label>
+          <input
+            type="file"
+            accept=".patt"
+            onChange={(e) => setPattFile(e.target.files?.[0] || null)}
+          />
+          {!pattFile && saved.patternUrl && (
+            <small style={{ color: "#9aa0ae" }}>
+              Keeping the saved pattern.
+            </small>
+          )}
+        </>
+      )}
+
+      {type === MARKER_TYPES.QR && qrPng && (
+        <div style={{ display: "grid", gap: 8, justifyItems: "center" }}>
+          <img
+            src={qrPng}
+            alt="Room QR marker"
+            style={{ width: 200, height: 200, background: "#fff" }}
+          />
+          <button
+            className="ghost"
+            onClick={() => download(qrPng, `unwritten-${roomId}-marker.png`)}
+          >
+            ⬇️ Marker PNG
+          </button>
+        </div>
+      )}
+
+      <label>Printed width of the black square (cm)</label>
+      <input
+        type="number"
+        min="2"
+        step="0.5"
+        value={size}
+        onChange={(e) => setSize(e.target.value)}
+      />
+
+      <button onClick={save} disabled={saving}>
+        {saving ? "Saving…" : "Save marker"}
+      </button>
+    </div>
+  );
+}
+
+const DEFAULT_INSTRUCTIONS =
+  "Scan with your phone camera to hear, watch and leave the stories of this place.";
+
+// Room setup: codes for the room and each experience, the room marker
+// and a printable poster
+export default function RoomSetup({ roomId, experiences, room, onBack }) {
+  const [posterTitle, setPosterTitle] = useState(roomId);
+  const [instructions, setInstructions] = useState(DEFAULT_INSTRUCTIONS);
+  const link = roomLink(roomId);
+
+  return (
+    <div className="card" style={{ display: "grid", gap: 12 }}>
+      <div
+        className="row"
+        style={{ alignItems: "center", justifyContent: "space-between" }}
+      >
+        <h3 style={{ margin: 0 }}>Room setup</h3>
+        <span className="badge">
+          Room: <span className="kbd">{roomId || "—"}</span>
+        </span>
+      </div>
+
+      <div className="card" style={{ display: "grid", gap: 8 }}>
+        <b>Room code</b>
+        <div style={{ wordBreak: "break-all", color: "#9aa0ae" }}>{link}</div>
+        <QrCode text={link} filename={`unwritten-${roomId}`} />
+      </div>
+
+      {experiences.length > 0 && (
+        <div className="card" style={{ display: "grid", gap: 8 }}>
+          <b>Experience codes</b>
+          <small style={{ color: "#9aa0ae" }}>
+            Each opens one experience directly.
+          </small>
+          <div className="row">
+            {experiences.map((ex) => (
+              <div
+                key={ex.id}
+                className="card"
+                style={{ flex: "1 1 220px", background: "#171a25" }}
+              >
+                <b style={{ display: "block", marginBottom: 8 }}>
+                  {ex.title || "Untitled"}
+                </b>
+                <QrCode
+                  text={roomLink(roomId, ex.id)}
+                  filename={`unwritten-${roomId}-${ex.id}`}
+                  size={160}
+                />
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <MarkerSettings
+        key={JSON.stringify(room?.marker || null)}
+        roomId={roomId}
+        marker={room?.marker}
+      />
+
+      <div className="card" style={{ display: "grid", gap: 8 }}>
+        <b>Poster</b>
+        <label>Room name</label>
+        <input
+          value={posterTitle}
+          onChange={(e) => setPosterTitle(e.target.value)}
+        />
+        <label>Instructions</label>
+        <textarea
+          rows={3}
+          value={instructions}
+          onChange={(e) => setInstructions(e.target.value)}
+          style={{ resize: "vertical", font: "inherit" }}
+        />
+
+        {/* The only thing left on the page when printing (see styles.css) */}
+        <div className="poster">
+          <h1>{posterTitle || roomId}</h1>
+          <QrCode text={link} filename="" size={320} showLinks={false} />
+          <p>{instructions}</p>
+          <small>{link}</small>
+        </div>
+
+        <button onClick={() => window.print()}>🖨️ Print / save as PDF</button>
+      </div>
+
+      <button className="ghost" onClick={onBack}>
+        ← Back
+      </button>
+    </div>
+  );
+}
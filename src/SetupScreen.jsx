@@ -0,0 +1,66 @@
+import React from "react";
+
+const LABELS = {
+  missing: "missing",
+  placeholder: "still a placeholder",
+  unknown: "not a known value",
+};
+
+// Shown instead of the app when the Firebase config is missing/placeholder
+// or another setting has a value the app doesn't know
+export default function SetupScreen({ problems }) {
+  const snippet = problems.map((p) => `${p.env}=…`).join("\n");
+  const firebase = problems.some((p) => p.problem !== "unknown");
+
+  return (
+    <div className="app">
+      <h2 style={{ marginTop: 0 }}>Unwritten — AR</h2>
+      <div className="card" style={{ display: "grid", gap: 12 }}>
+        <b>
+          {firebase
+            ? "Firebase isn't configured yet"
+            : "Some settings need fixing"}
+        </b>
+        <p style={{ color: "#9aa0ae", margin: 0 }}>
+          Add these values to <span className="kbd">.env.local</span> (see{" "}
+          <span className="kbd">.env.example</span>) and restart the dev server.
+        </p>
+
+        <div style={{ display: "grid", gap: 6 }}>
+          {problems.map((p) => (
+            <div
+              key={p.env}
+              className="row"
+              style={{ alignItems: "center", gap: 8 }}
+            >
+              <span className="kbd">{p.env}</span>
+              <span
+                className="badge"
+                style={{
+                  color:
+                    p.problem === "placeholder" ? "var(--warn)" : "var(--err)",
+                }}
+              >
+                {LABELS[p.problem]}
+              </span>
+              {p.hint && <small style={{ color: "#9aa0ae" }}>({p.hint})</small>}
+            </div>
+          ))}
+        </div>
+
+        <pre className="kbd" style={{ margin: 0, padding: 12 }}>
+          {snippet}
+        </pre>
+
+        {firebase && (
+          <p style={{ color: "#9aa0ae", margin: 0 }}>
+            For local development without a project, set{" "}
+            <span className="kbd">VITE_USE_EMULATORS=true</span> and run the
+            Firestore/Storage emulators, or use{" "}
+            <span className="kbd">VITE_BACKEND=local</span>.
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,88 @@
+import React, { useState } from "react";
+import { sendSignInLink, signInAnonymously } from "./auth";
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Email field + "send link" button. For an anonymous user, opening the
+// link adds the email to the same account (see completeSignInLink).
+export function EmailLinkForm({ label = "Email me a sign-in link" }) {
+  const [email, setEmail] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [sentTo, setSentTo] = useState(null);
+
+  const send = async () => {
+    const addr = email.trim();
+    if (!EMAIL_RE.test(addr)) return alert("Enter a valid email address.");
+    setBusy(true);
+    try {
+      const { signedIn } = await sendSignInLink(addr);
+      if (!signedIn) setSentTo(addr);
+    } catch (e) {
+      alert("Could not send the link: " + e.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (sentTo)
+    return (
+      <div className="badge">
+        📧 Check {sentTo} and open the link on this device.
+      </div>
+    );
+  return (
+    <div style={{ display: "grid", gap: 8 }}>
+      <label>Email</label>
+      <input
+        type="email"
+        autoComplete="email"
+        placeholder="you@example.com"
+        value={email}
+        onChange={(e) => setEmail(e.target.value)}
+      />
+      <button disabled={busy || !email.trim()} onClick={send}>
+        {label}
+      </button>
+    </div>
+  );
+}
+
+// Shown in place of a contribution screen until the visitor has a user
+export default function SignIn({ onBack }) {
+  const [busy, setBusy] = useState(false);
+
+  const anonymous = async () => {
+    setBusy(true);
+    try {
+      await signInAnonymously();
+    } catch (e) {
+      alert("Sign-in failed: " + e.message);
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="card" style={{ display: "grid", gap: 12 }}>
+      <h3 style={{ margin: 0 }}>Sign in to add your story</h3>
+      <small style={{ color: "#9aa0ae" }}>
+        We only use this to let you edit or delete what you add later.
+      </small>
+
+      <button className="ok" disabled={busy} onClick={anonymous}>
+        Continue without an account
+      </button>
+      <small style={{ color: "#9aa0ae" }}>
+        Your stories stay yours on this device. Add an email any time under
+        “My stories” to keep them when you switch phones.
+      </small>
+
+      <hr className="sep" />
+
+      <EmailLinkForm />
+
+      <button className="ghost" onClick={onBack}>
+        ← Back
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,121 @@
+import React, { useState } from "react";
+import { enqueue, isNetworkError, submitEntry } from "./outbox";
+
+// Limits keep the floating MSDF text readable in AR (wrapCount: 24)
+const TEXT_MAX_CHARS = 480;
+const TEXT_MAX_LINES = 16;
+const AUTHOR_MAX_CHARS = 60;
+// loose BCP 47 check: "en", "hi", "pt-BR", "zh-Hant"
+const LANG_RE = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+
+// Compose a poem/note and save it as a `type: "text"` clip
+export default function TextStoryForm({ roomId, uid, status, onDone, onBack }) {
+  const [text, setText] = useState("");
+  const [authorName, setAuthorName] = useState("");
+  const [lang, setLang] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const body = text.trim();
+  const lines = body ? body.split("\n").length : 0;
+  const tooLong = body.length > TEXT_MAX_CHARS || lines > TEXT_MAX_LINES;
+  const langOk = !lang.trim() || LANG_RE.test(lang.trim());
+
+  const save = async () => {
+    if (!body) return alert("Write something first.");
+    if (tooLong)
+      return alert(
+        `Keep it under ${TEXT_MAX_CHARS} characters and ${TEXT_MAX_LINES} lines.`
+      );
+    if (!authorName.trim()) return alert("Add your name.");
+    if (!langOk) return alert("Language should look like “en” or “pt-BR”.");
+    const doc = {
+      roomId,
+      uid,
+      status,
+      type: "text",
+      text: body,
+      authorName: authorName.trim().slice(0, AUTHOR_MAX_CHARS),
+    };
+    if (lang.trim()) doc.lang = lang.trim();
+    const entry = { collection: "clips", doc, media: [] };
+    setSaving(true);
+    try {
+      // Offline, the write would wait in memory until the page closes
+      if (!navigator.onLine) throw new Error("You're offline");
+      const saved = await submitEntry(entry);
+      onDone?.({ id: saved.id, type: "text" });
+    } catch (e) {
+      // No signal: keep it on the device and let the outbox send it later
+      if (isNetworkError(e) && (await enqueue(entry).catch(() => null))) {
+        alert("Saved on this device; it will be sent once you're online.");
+        onDone?.({ type: "text" });
+      } else alert("Failed to save: " + e.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="card" style={{ display: "grid", gap: 12 }}>
+      <div
+        className="row"
+        style={{ alignItems: "center", justifyContent: "space-between" }}
+      >
+        <h3 style={{ margin: 0 }}>Write</h3>
+        <span className="badge">
+          Room: <span className="kbd">{roomId || "—"}</span>
+        </span>
+      </div>
+
+      <div>
+        <label>Your story, poem or note</label>
+        <textarea
+          rows={8}
+          lang={lang.trim() || undefined}
+          placeholder="What happened here…"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          style={{ resize: "vertical", font: "inherit" }}
+        />
+        <small style={{ color: tooLong ? "var(--err)" : "#9aa0ae" }}>
+          {body.length}/{TEXT_MAX_CHARS} characters · {lines}/{TEXT_MAX_LINES}{" "}
+          lines
+        </small>
+      </div>
+
+      <div className="row">
+        <div style={{ flex: 2 }}>
+          <label>Your Name</label>
+          <input
+            placeholder="Sakshi Rane"
+            maxLength={AUTHOR_MAX_CHARS}
+            value={authorName}
+            onChange={(e) => setAuthorName(e.target.value)}
+          />
+        </div>
+        <div style={{ flex: 1 }}>
+          <label>Language (optional)</label>
+          <input
+            placeholder="en, hi, pt-BR…"
+            value={lang}
+            onChange={(e) => setLang(e.target.value)}
+            style={langOk ? undefined : { outline: "1px solid var(--err)" }}
+          />
+        </div>
+      </div>
+
+      <div className="row">
+        <button className="ghost" onClick={onBack} style={{ flex: 1 }}>
+          ← Back
+        </button>
+        <button
+          disabled={saving || tooLong || !body}
+          onClick={save}
+          style={{ flex: 1 }}
+        >
+          {saving ? "Saving…" : "Save to Room"}
+        </button>
+      </div>
+    </div>
+  );
+}
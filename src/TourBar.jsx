@@ -0,0 +1,91 @@
+import React from "react";
+
+const PHASES = {
+  narration: "Introduction",
+  story: "Playing",
+  done: "Finished",
+};
+
+// Under an AR scene: pick a tour (or every story at once) and follow it.
+// `step` is the scene's last { tourId, index, count, phase } report;
+// `onGo(index)` asks the scene to jump to a stop.
+export default function TourBar({ tours, tourId, onSelect, step, onGo }) {
+  if (!tours.length) return null;
+  const tour = tours.find((t) => t.id === tourId) || null;
+  const current = tour && step?.tourId === tour.id ? step : null;
+
+  return (
+    <div className="card" style={{ display: "grid", gap: 8 }}>
+      <div>
+        <label>Tour</label>
+        <select
+          value={tour ? tour.id : ""}
+          onChange={(e) => onSelect(e.target.value || null)}
+        >
+          <option value="">No tour: every story at once</option>
+          {tours.map((t) => (
+            <option key={t.id} value={t.id}>
+              {t.title}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {tour && !current && <div className="badge">Starting the tour…</div>}
+      {current && (
+        <>
+          <div
+            role="progressbar"
+            aria-valuemin={1}
+            aria-valuemax={current.count}
+            aria-valuenow={current.index + 1}
+            style={{ display: "flex", gap: 4 }}
+          >
+            {Array.from({ length: current.count }, (_, i) => (
+              <button
+                key={i}
+                title={`Stop ${i + 1}`}
+                onClick={() => onGo(i)}
+                style={{
+                  flex: 1,
+                  height: 8,
+                  padding: 0,
+                  borderRadius: 4,
+                  background:
+                    i < current.index ||
+                    (i === current.index && current.phase === "done")
+                      ? "var(--ok)"
+                      : i === current.index
+                      ? "var(--brand)"
+                      : "#242836",
+                }}
+              />
+            ))}
+          </div>
+          <div className="row" style={{ alignItems: "center", gap: 8 }}>
+            <button
+              className="ghost"
+              style={{ width: "auto" }}
+              disabled={current.index === 0}
+              onClick={() => onGo(current.index - 1)}
+            >
+              ◀
+            </button>
+            <span className="badge" style={{ flex: 1, textAlign: "center" }}>
+              Stop {current.index + 1} of {current.count} ·{" "}
+              {PHASES[current.phase] || ""}
+            </span>
+            <button
+              className="ghost"
+              style={{ width: "auto" }}
+              disabled={current.index === current.count - 1}
+              onClick={() => onGo(current.index + 1)}
+            >
+              ▶
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,249 @@
+import React, { useState } from "react";
+import { CLIP_TYPES } from "./Gallery";
+import {
+  TOUR_LIMITS,
+  removeTour,
+  saveTour,
+  stopKey,
+  storyFor,
+  validateTour,
+} from "./tours";
+
+// "🎙 Voice · Asha" / "🌐 Experience · The old well"
+function storyLabel(stop, story) {
+  if (!story) return "Story no longer in the room";
+  if (stop.collection === "experiences")
+    return `🌐 Experience · ${story.title || "Untitled"}`;
+  const what = story.text || story.transcript || story.authorName || "";
+  const type = CLIP_TYPES[story.type] || story.type;
+  return what ? `${type} · ${what.slice(0, 60)}` : type;
+}
+
+function TourForm({ roomId, uid, tour, clips, experiences, onClose }) {
+  const [title, setTitle] = useState(tour?.title || "");
+  const [stops, setStops] = useState(tour?.stops || []);
+  const [saving, setSaving] = useState(false);
+
+  const choices = [
+    ...clips.map((c) => ({ collection: "clips", id: c.id })),
+    ...experiences
+      .filter((e) => !e.externalUrl)
+      .map((e) => ({ collection: "experiences", id: e.id })),
+  ].filter((c) => !stops.some((s) => stopKey(s) === stopKey(c)));
+
+  const update = (i, patch) =>
+    setStops((list) => list.map((s, j) => (j === i ? { ...s, ...patch } : s)));
+  const move = (i, step) =>
+    setStops((list) => {
+      const next = [...list];
+      [next[i], next[i + step]] = [next[i + step], next[i]];
+      return next;
+    });
+  const remove = (i) => setStops((list) => list.filter((_, j) => j !== i));
+  const add = (key) => {
+    const choice = choices.find((c) => stopKey(c) === key);
+    if (choice) setStops((list) => [...list, { ...choice, narration: "" }]);
+  };
+
+  const save = async () => {
+    const problems = validateTour({ title, stops });
+    if (problems.length) return alert(problems.join("\n"));
+    setSaving(true);
+    try {
+      await saveTour(roomId, uid, { id: tour?.id, title, stops });
+      onClose();
+    } catch (e) {
+      alert("Could not save the tour: " + e.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="card" style={{ display: "grid", gap: 12 }}>
+      <div>
+        <label>Title</label>
+        <input
+          placeholder="Voices of the courtyard"
+          value={title}
+          maxLength={TOUR_LIMITS.title}
+          onChange={(e) => setTitle(e.target.value)}
+        />
+      </div>
+
+      {stops.map((stop, i) => (
+        <div
+          key={stopKey(stop)}
+          className="card"
+          style={{ display: "grid", gap: 6, background: "#171a25" }}
+        >
+          <div className="row" style={{ alignItems: "center", gap: 6 }}>
+            <b style={{ flex: 1 }}>
+              {i + 1}. {storyLabel(stop, storyFor(stop, clips, experiences))}
+            </b>
+            <button
+              className="ghost"
+              style={{ width: "auto" }}
+              disabled={i === 0}
+              onClick={() => move(i, -1)}
+            >
+              ↑
+            </button>
+            <button
+              className="ghost"
+              style={{ width: "auto" }}
+              disabled={i === stops.length - 1}
+              onClick={() => move(i, 1)}
+            >
+              ↓
+            </button>
+            <button
+              className="ghost"
+              style={{ width: "auto" }}
+              onClick={() => remove(i)}
+            >
+              ✕
+            </button>
+          </div>
+          <textarea
+            rows={2}
+            placeholder="Narration before this story (optional)"
+            value={stop.narration || ""}
+            maxLength={TOUR_LIMITS.narration}
+            onChange={(e) => update(i, { narration: e.target.value })}
+          />
+        </div>
+      ))}
+
+      {choices.length > 0 && stops.length < TOUR_LIMITS.stops && (
+        <div>
+          <label>Add a story</label>
+          <select value="" onChange={(e) => add(e.target.value)}>
+            <option value="">Choose…</option>
+            {choices.map((c) => (
+              <option key={stopKey(c)} value={stopKey(c)}>
+                {storyLabel(c, storyFor(c, clips, experiences))}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      <div className="row">
+        <button className="ghost" onClick={onClose}>
+          Cancel
+        </button>
+        <button className="ok" disabled={saving} onClick={save}>
+          {saving ? "Saving…" : "Save tour"}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// The room's tours to take, and for the owner the form to make or change
+// one. Only approved stories can be added, since only those reach
+// visitors.
+export default function Tours({
+  roomId,
+  uid,
+  owner,
+  tours,
+  loading,
+  error,
+  clips,
+  experiences,
+  onPlay,
+  onBack,
+}) {
+  const [editing, setEditing] = useState(null); // a tour, or {} for new
+
+  const header = (
+    <div
+      className="row"
+      style={{ alignItems: "center", justifyContent: "space-between" }}
+    >
+      <h3 style={{ margin: 0 }}>Tours</h3>
+      <span className="badge">
+        Room: <span className="kbd">{roomId}</span>
+      </span>
+    </div>
+  );
+
+  const remove = async (tour) => {
+    if (!confirm(`Delete the tour “${tour.title}”?`)) return;
+    try {
+      await removeTour(tour.id);
+    } catch (e) {
+      alert("Could not delete: " + e.message);
+    }
+  };
+
+  if (editing)
+    return (
+      <div style={{ display: "grid", gap: 12 }}>
+        {header}
+        <TourForm
+          roomId={roomId}
+          uid={uid}
+          tour={editing.id ? editing : null}
+          clips={clips}
+          experiences={experiences}
+          onClose={() => setEditing(null)}
+        />
+      </div>
+    );
+
+  return (
+    <div className="card" style={{ display: "grid", gap: 12 }}>
+      {header}
+      <small style={{ color: "#9aa0ae" }}>
+        A tour plays the room's stories one after another, in your order, with a
+        few words from you before each.
+      </small>
+
+      {error && (
+        <div className="badge" style={{ color: "var(--err)" }}>
+          Couldn't load tours: {error.message}
+        </div>
+      )}
+      {loading && <div className="badge">Loading tours…</div>}
+      {!loading && !error && !tours.length && (
+        <div className="badge">No tours yet.</div>
+      )}
+
+      {tours.map((tour) => (
+        <div
+          key={tour.id}
+          className="card"
+          style={{ display: "grid", gap: 6, background: "#171a25" }}
+        >
+          <b>{tour.title}</b>
+          <small style={{ color: "#9aa0ae" }}>
+            {tour.stops?.length || 0} stops
+          </small>
+          <div className="row" style={{ gap: 6 }}>
+            <button className="ok" onClick={() => onPlay(tour.id)}>
+              ▶ Take the tour
+            </button>
+            {owner && (
+              <>
+                <button className="ghost" onClick={() => setEditing(tour)}>
+                  Edit
+                </button>
+                <button className="ghost" onClick={() => remove(tour)}>
+                  Delete
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+      ))}
+
+      {owner && <button onClick={() => setEditing({})}>+ New tour</button>}
+      <button className="ghost" onClick={onBack}>
+        ← Back
+      </button>
+    </div>
+  );
+}
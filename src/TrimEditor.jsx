@@ -0,0 +1,110 @@
+import React, { useEffect, useRef } from "react";
+import { drawLevels } from "./LevelMeter";
+
+// Keep at least this much of a take
+const MIN_KEEP = 1;
+
+const fmt = (s) => `${s.toFixed(1)}s`;
+
+// Start/end handles over the take's waveform, with playback of just the
+// kept part. `range` is { start, end } in seconds of `duration`.
+export default function TrimEditor({
+  src,
+  kind,
+  duration,
+  levels,
+  range,
+  onChange,
+}) {
+  const mediaRef = useRef(null);
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    drawLevels(canvasRef.current, levels, {
+      range: { from: range.start / duration, to: range.end / duration },
+    });
+  }, [levels, range, duration]);
+
+  const setStart = (v) =>
+    onChange({ ...range, start: Math.min(v, range.end - MIN_KEEP) });
+  const setEnd = (v) =>
+    onChange({ ...range, end: Math.max(v, range.start + MIN_KEEP) });
+
+  const playKept = () => {
+    const m = mediaRef.current;
+    if (!m) return;
+    m.currentTime = range.start;
+    m.play().catch(() => {});
+  };
+
+  // the preview stops at the end handle
+  const onTime = () => {
+    const m = mediaRef.current;
+    if (m && !m.paused && m.currentTime >= range.end) m.pause();
+  };
+
+  const Media = kind === "video" ? "video" : "audio";
+
+  return (
+    <div style={{ display: "grid", gap: 8 }}>
+      <Media
+        ref={mediaRef}
+        src={src}
+        controls
+        playsInline
+        onTimeUpdate={onTime}
+        className={kind === "video" ? "preview" : undefined}
+        style={kind === "video" ? undefined : { width: "100%" }}
+      />
+      {duration >= MIN_KEEP * 2 && (
+        <>
+          <canvas
+            ref={canvasRef}
+            style={{
+              width: "100%",
+              height: 56,
+              borderRadius: 10,
+              background: "#171a25",
+            }}
+          />
+          <div className="row" style={{ gap: 8 }}>
+            <div style={{ flex: 1 }}>
+              <label>Start {fmt(range.start)}</label>
+              <input
+                type="range"
+                min="0"
+                max={duration}
+                step="0.1"
+                value={range.start}
+                onChange={(e) => setStart(Number(e.target.value))}
+              />
+            </div>
+            <div style={{ flex: 1 }}>
+              <label>End {fmt(range.end)}</label>
+              <input
+                type="range"
+                min="0"
+                max={duration}
+                step="0.1"
+                value={range.end}
+                onChange={(e) => setEnd(Number(e.target.value))}
+              />
+            </div>
+          </div>
+          <div className="row" style={{ alignItems: "center", gap: 8 }}>
+            <button
+              className="ghost"
+              style={{ width: "auto" }}
+              onClick={playKept}
+            >
+              ▶ Play trimmed
+            </button>
+            <span className="badge">
+              Keeps {fmt(range.end - range.start)} of {fmt(duration)}
+            </span>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
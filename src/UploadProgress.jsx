@@ -0,0 +1,70 @@
+import React from "react";
+
+// Progress bar + cancel/retry for a useUploadTask() instance
+export default function UploadProgress({ task }) {
+  const { status, progress, error, cancel, retry, reset } = task;
+  if (status === "idle" || status === "done") return null;
+  const pct = Math.round(progress * 100);
+
+  return (
+    <div className="card" style={{ display: "grid", gap: 8, padding: 12 }}>
+      <div
+        className="row"
+        style={{ alignItems: "center", justifyContent: "space-between" }}
+      >
+        <span className="badge">
+          {status === "uploading" && `⏫ Uploading… ${pct}%`}
+          {status === "error" && "⚠️ Upload failed"}
+          {status === "cancelled" && "Upload cancelled"}
+          {status === "queued" && "📥 Saved on this device"}
+        </span>
+        {!navigator.onLine && status === "uploading" && (
+          <span className="badge" style={{ color: "var(--warn)" }}>
+            Offline — will resume
+          </span>
+        )}
+      </div>
+
+      {status === "queued" && (
+        <small style={{ color: "#9aa0ae" }}>
+          No connection right now. It will upload automatically when you're
+          back online, even if you close this page.
+        </small>
+      )}
+
+      <div className="progress">
+        <div
+          className={status === "error" ? "err" : ""}
+          style={{ width: `${pct}%` }}
+        />
+      </div>
+
+      {status === "error" && error && (
+        <small style={{ color: "var(--err)", whiteSpace: "pre-line" }}>
+          {error.message}
+        </small>
+      )}
+
+      <div className="row" style={{ gap: 8 }}>
+        {status === "uploading" ? (
+          <button className="ghost" onClick={cancel}>
+            ✕ Cancel
+          </button>
+        ) : status === "queued" ? (
+          <button className="ghost" onClick={reset}>
+            OK
+          </button>
+        ) : (
+          <>
+            <button className="ghost" onClick={reset} style={{ flex: 1 }}>
+              Dismiss
+            </button>
+            <button onClick={retry} style={{ flex: 1 }}>
+              ↻ Retry
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,93 @@
+import React, { useEffect, useState } from "react";
+import { formatDuration, mediaFields } from "./mediaFormats";
+import { VIDEO_BUDGET, isHeavyVideo, videoStills } from "./mediaPipeline";
+import { formatBytes } from "./uploads";
+
+// Chosen video before upload: playable preview with its poster frame,
+// what the file is, and the option to make heavy ones lighter for AR.
+// Heavy videos start with the option on.
+export default function VideoPreview({ file, shrink, onShrink, progress }) {
+  const [url, setUrl] = useState(null);
+  const [poster, setPoster] = useState(null);
+  const [info, setInfo] = useState(null);
+
+  useEffect(() => {
+    const u = URL.createObjectURL(file);
+    setUrl(u);
+    setPoster(null);
+    setInfo(null);
+    let alive = true;
+    let posterUrl = null;
+    mediaFields(file).then((fields) => {
+      if (!alive) return;
+      setInfo(fields);
+      onShrink(isHeavyVideo(fields, file.size));
+    });
+    videoStills(file)
+      .then(({ poster }) => {
+        if (!alive) return;
+        posterUrl = URL.createObjectURL(poster);
+        setPoster(posterUrl);
+      })
+      .catch(() => {});
+    return () => {
+      alive = false;
+      URL.revokeObjectURL(u);
+      if (posterUrl) URL.revokeObjectURL(posterUrl);
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [file]);
+
+  const heavy = info && isHeavyVideo(info, file.size);
+
+  return (
+    <div className="card" style={{ display: "grid", gap: 8 }}>
+      {url && (
+        <video
+          className="preview"
+          src={url}
+          poster={poster || undefined}
+          controls
+          playsInline
+        />
+      )}
+
+      {!info && <div className="badge">Checking video…</div>}
+      {info && (
+        <div className="row" style={{ gap: 6 }}>
+          <span className="badge">{formatBytes(file.size)}</span>
+          {info.width && (
+            <span className="badge">
+              {info.width} × {info.height}
+            </span>
+          )}
+          {info.duration && (
+            <span className="badge">{formatDuration(info.duration)}</span>
+          )}
+        </div>
+      )}
+
+      {heavy && (
+        <label
+          className="row"
+          style={{ alignItems: "center", gap: 8, color: "var(--warn)" }}
+        >
+          <input
+            type="checkbox"
+            checked={shrink}
+            disabled={progress != null}
+            onChange={(e) => onShrink(e.target.checked)}
+            style={{ width: "auto" }}
+          />
+          Make it lighter for phones (up to {VIDEO_BUDGET.edge}px; takes as long
+          as the video plays)
+        </label>
+      )}
+      {progress != null && (
+        <div className="badge">
+          Making it lighter… {Math.round(progress * 100)}%
+        </div>
+      )}
+    </div>
+  );
+}
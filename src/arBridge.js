@@ -0,0 +1,85 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+
+// App side of the postMessage protocol in public/ar/bridge.js.
+// The scenes live under /ar on our own origin, so we never post to "*".
+export const AR_CHANNEL = "unwritten-ar";
+export const AR_MESSAGES = {
+  READY: "ready",
+  CLIPS: "clips",
+  EXPERIENCE: "experience",
+  EDIT: "edit",
+  MARKER: "marker",
+  EXPERIENCES: "experiences",
+  MODEL: "model",
+  MODEL_INFO: "model-info",
+  PLACEMENT: "placement",
+  TOUR: "tour",
+  TOUR_GO: "tour-go",
+  TOUR_STEP: "tour-step",
+  ACK: "ack",
+};
+
+let nextId = 1;
+
+// Strip Firestore-only values (Timestamps, sentinels) before handing clips
+// to a scene; the renderer only needs these fields.
+export const toSceneClip = (c) => ({
+  id: c.id,
+  type: c.type,
+  url: c.url || null,
+  text: c.text || null,
+  placement: c.placement || null,
+  scale: c.scale || null,
+  captions: c.captions || null,
+  duration: c.duration || null,
+});
+
+export const toSceneExperience = ({ createdAt, ...ex }) => ex;
+
+// Tracks one embedded scene: `ready` flips once the scene says hello, and
+// `send` posts a message to it (returns the message id, or null if the
+// iframe is gone). `onMessage` receives every valid scene message.
+export function useArScene(iframeRef, onMessage) {
+  const [ready, setReady] = useState(false);
+  const [lastAck, setLastAck] = useState(null);
+  const onMessageRef = useRef(onMessage);
+  onMessageRef.current = onMessage;
+
+  const send = useCallback(
+    (type, payload) => {
+      const win = iframeRef.current?.contentWindow;
+      if (!win) return null;
+      const id = nextId++;
+      win.postMessage(
+        { channel: AR_CHANNEL, type, id, payload },
+        window.location.origin
+      );
+      return id;
+    },
+    [iframeRef]
+  );
+
+  useEffect(() => {
+    const listener = (ev) => {
+      if (ev.origin !== window.location.origin) return;
+      const win = iframeRef.current?.contentWindow;
+      if (!win || ev.source !== win) return;
+      const msg = ev.data;
+      if (!msg || msg.channel !== AR_CHANNEL) return;
+      if (msg.type === AR_MESSAGES.READY) {
+        setReady(true);
+        send(AR_MESSAGES.ACK, { type: AR_MESSAGES.READY });
+      } else if (msg.type === AR_MESSAGES.ACK) {
+        setLastAck(msg);
+      }
+      onMessageRef.current?.(msg);
+    };
+    window.addEventListener("message", listener);
+    return () => window.removeEventListener("message", listener);
+  }, [iframeRef, send]);
+
+  // A reloaded/replaced iframe has to say "ready" again.
+  const reset = useCallback(() => setReady(false), []);
+
+  return { ready, send, lastAck, reset };
+}
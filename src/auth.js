@@ -0,0 +1,46 @@
+import { useEffect, useState } from "react";
+import { backend } from "./backend";
+
+// Contributor identity. Anyone can look around; recording, writing and
+// uploading need a user (anonymous is enough), whose uid goes on every
+// `clips`/`experiences` doc so contributors can manage their own stories.
+
+// Where the address for a pending email link is kept until it's opened
+const EMAIL_KEY = "unwritten-signin-email";
+
+// Captured before the router tidies the address bar (it drops the query,
+// which is where the sign-in link's code lives)
+const landingHref = typeof location !== "undefined" ? location.href : "";
+
+export async function sendSignInLink(email) {
+  const returnUrl = location.origin + location.pathname;
+  const result = await backend.sendSignInLink(email, returnUrl);
+  if (!result.signedIn) localStorage.setItem(EMAIL_KEY, email);
+  return result;
+}
+
+// Finishes an email-link sign-in if the page was opened from one. Links
+// opened on another device don't know the address, so we ask for it.
+export async function completeSignInLink() {
+  let email = localStorage.getItem(EMAIL_KEY);
+  if (!email && /[?&]oobCode=/.test(landingHref))
+    email = window.prompt("Confirm your email to finish signing in");
+  if (!email) return null;
+  const user = await backend.completeSignInLink(landingHref, email);
+  if (user) localStorage.removeItem(EMAIL_KEY);
+  return user;
+}
+
+export const signInAnonymously = () => backend.signInAnonymously();
+
+export const signOut = () => backend.signOut();
+
+// { user, ready }: `ready` turns true once the stored session is known
+export function useAuth() {
+  const [state, setState] = useState({ user: null, ready: false });
+  useEffect(
+    () => backend.onAuthChange((user) => setState({ user, ready: true })),
+    []
+  );
+  return state;
+}
@@ -0,0 +1,188 @@
+import { auth, db, storage } from "../firebaseConfig";
+import {
+  collection,
+  doc,
+  addDoc,
+  getDoc,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  runTransaction,
+  query,
+  where,
+  orderBy,
+  limit as limitTo,
+  onSnapshot,
+  serverTimestamp,
+} from "firebase/firestore";
+import {
+  ref,
+  uploadBytesResumable,
+  getDownloadURL,
+  deleteObject,
+} from "firebase/storage";
+import {
+  EmailAuthProvider,
+  isSignInWithEmailLink,
+  linkWithCredential,
+  onAuthStateChanged,
+  sendSignInLinkToEmail,
+  signInAnonymously,
+  signInWithCredential,
+  signOut,
+} from "firebase/auth";
+
+const fromSnap = (d) => ({
+  id: d.id,
+  // our own pending writes get a local estimate instead of null
+  ...d.data({ serverTimestamps: "estimate" }),
+});
+
+const toUser = (u) =>
+  u ? { uid: u.uid, email: u.email || null, isAnonymous: u.isAnonymous } : null;
+
+// An anonymous account that already exists for this email can't be
+// upgraded; the email account is signed in instead.
+const LINK_CONFLICTS = [
+  "auth/credential-already-in-use",
+  "auth/email-already-in-use",
+];
+
+// Firestore + Cloud Storage + Auth adapter (see ./index.js for the interface)
+export function createFirebaseBackend() {
+  return {
+    name: "firebase",
+
+    async add(name, data) {
+      const r = await addDoc(collection(db, name), {
+        ...data,
+        createdAt: serverTimestamp(),
+      });
+      return { id: r.id };
+    },
+
+    update: (name, id, patch) => updateDoc(doc(db, name, id), patch),
+
+    create: (name, id, data) =>
+      runTransaction(db, async (tx) => {
+        const r = doc(db, name, id);
+        if ((await tx.get(r)).exists())
+          throw new Error(`${name}/${id} already exists`);
+        tx.set(r, { ...data, createdAt: serverTimestamp() });
+      }),
+
+    set: (name, id, data) => setDoc(doc(db, name, id), data, { merge: true }),
+
+    remove: (name, id) => deleteDoc(doc(db, name, id)),
+
+    async get(name, id) {
+      const snap = await getDoc(doc(db, name, id));
+      return snap.exists() ? fromSnap(snap) : null;
+    },
+
+    subscribe(name, filters, onNext, onError, { limit } = {}) {
+      const q = query(
+        collection(db, name),
+        ...Object.entries(filters).map(([k, v]) => where(k, "==", v)),
+        orderBy("createdAt", "desc"),
+        ...(limit ? [limitTo(limit)] : [])
+      );
+      return onSnapshot(q, (snap) => onNext(snap.docs.map(fromSnap)), onError);
+    },
+
+    watch: (name, id, onNext, onError) =>
+      onSnapshot(
+        doc(db, name, id),
+        (snap) => onNext(snap.exists() ? fromSnap(snap) : null),
+        onError
+      ),
+
+    // Resumable: transient drops are retried by the SDK. Going offline
+    // fails the upload with a network error (code "unavailable") so the
+    // caller can queue it in the outbox rather than wait on a paused task.
+    // The uploader's uid goes along for storage.rules (who may delete the
+    // file).
+    uploadMedia(path, blob, { onProgress, signal } = {}) {
+      const r = ref(storage, path);
+      const metadata = {
+        customMetadata: { uid: auth.currentUser?.uid || "" },
+      };
+      if (blob.type) metadata.contentType = blob.type;
+      const task = uploadBytesResumable(r, blob, metadata);
+      let wentOffline = false;
+      const offline = () => {
+        wentOffline = true;
+        task.cancel();
+      };
+      const abort = () => task.cancel();
+      window.addEventListener("offline", offline);
+      signal?.addEventListener("abort", abort);
+      const cleanup = () => {
+        window.removeEventListener("offline", offline);
+        signal?.removeEventListener("abort", abort);
+      };
+      return new Promise((resolve, reject) => {
+        task.on(
+          "state_changed",
+          (snap) => onProgress?.(snap.bytesTransferred, snap.totalBytes),
+          (e) => {
+            cleanup();
+            if (e?.code !== "storage/canceled") reject(e);
+            else if (wentOffline)
+              reject(
+                Object.assign(new Error("Connection lost during upload"), {
+                  code: "unavailable",
+                })
+              );
+            else reject(new DOMException("Upload cancelled", "AbortError"));
+          },
+          () => {
+            cleanup();
+            resolve(getDownloadURL(task.snapshot.ref));
+          }
+        );
+      });
+    },
+
+    // Download URLs work as storage references
+    async removeMedia(url) {
+      try {
+        await deleteObject(ref(storage, url));
+      } catch (e) {
+        if (e?.code !== "storage/object-not-found") throw e;
+      }
+    },
+
+    onAuthChange: (onUser) =>
+      onAuthStateChanged(auth, (u) => onUser(toUser(u))),
+
+    signInAnonymously: async () => toUser((await signInAnonymously(auth)).user),
+
+    async sendSignInLink(email, returnUrl) {
+      await sendSignInLinkToEmail(auth, email, {
+        url: returnUrl,
+        handleCodeInApp: true,
+      });
+      return { signedIn: false };
+    },
+
+    // Upgrades the current anonymous account when possible, so stories
+    // recorded before signing in stay with the contributor
+    async completeSignInLink(href, email) {
+      if (!isSignInWithEmailLink(auth, href)) return null;
+      await auth.authStateReady();
+      const cred = EmailAuthProvider.credentialWithLink(email, href);
+      if (auth.currentUser?.isAnonymous) {
+        try {
+          const r = await linkWithCredential(auth.currentUser, cred);
+          return toUser(r.user);
+        } catch (e) {
+          if (!LINK_CONFLICTS.includes(e?.code)) throw e;
+        }
+      }
+      return toUser((await signInWithCredential(auth, cred)).user);
+    },
+
+    signOut: () => signOut(auth),
+  };
+}
@@ -0,0 +1,46 @@
+import { createFirebaseBackend } from "./firebase";
+import { createLocalBackend } from "./local";
+
+// Every screen talks to rooms, clips, experiences and media through this
+// object instead of the Firebase SDK. Adapters implement:
+//
+//   add(collection, data)            -> { id }      (sets createdAt)
+//   update(collection, id, patch)
+//   create(collection, id, data)     new doc with a chosen id (sets
+//                                    createdAt; fails if the id is taken)
+//   set(collection, id, data)        merge into a doc with a known id
+//   remove(collection, id)
+//   get(collection, id)              -> doc | null
+//   subscribe(collection, { field: value, … }, onNext, onError, { limit })
+//                                    -> unsubscribe (equality filters, newest
+//                                    first, at most `limit` docs if given)
+//   watch(collection, id, onNext(doc | null), onError) -> unsubscribe
+//   uploadMedia(path, blob, { onProgress(sent, total), signal }) -> url
+//   removeMedia(url)                 (missing files are ignored)
+//
+// Docs come back as `{ id, ...data }` with `createdAt.seconds` set.
+//
+// Contributors sign in through the same object; users are
+// `{ uid, email, isAnonymous }`:
+//
+//   onAuthChange(onUser(user | null)) -> unsubscribe
+//   signInAnonymously()              -> user
+//   sendSignInLink(email, returnUrl) -> { signedIn } (false: check your inbox)
+//   completeSignInLink(href, email)  -> user | null (null: not a sign-in link)
+//   signOut()
+//
+// VITE_BACKEND picks the adapter: "firebase" (default), "local" (IndexedDB,
+// survives reloads) or "memory" (nothing persisted).
+const adapters = {
+  firebase: () => createFirebaseBackend(),
+  local: () => createLocalBackend(),
+  memory: () => createLocalBackend({ persist: false }),
+};
+
+const kind = import.meta.env.VITE_BACKEND || "firebase";
+if (!adapters[kind])
+  throw new Error(
+    `Unknown VITE_BACKEND "${kind}" (use ${Object.keys(adapters).join(", ")})`
+  );
+
+export const backend = adapters[kind]();
@@ -0,0 +1,229 @@
+// Offline adapter: documents and media blobs live in IndexedDB (or only in
+// memory where IndexedDB is missing, e.g. tests). Same interface as
+// ./firebase.js, so the app can be developed and demoed without a project.
+import { openIdb } from "../idb";
+
+const DB_NAME = "unwritten-local";
+const DB_VERSION = 1;
+// Stored docs reference media by path; reads swap these for object URLs
+const MEDIA_PREFIX = "local-media://";
+
+const newId = () =>
+  globalThis.crypto?.randomUUID?.() ||
+  Date.now().toString(36) + Math.random().toString(36).slice(2, 10);
+
+// Firestore-Timestamp-shaped, so `createdAt.seconds` works everywhere
+const timestamp = (ms = Date.now()) => ({
+  seconds: Math.floor(ms / 1000),
+  nanoseconds: (ms % 1000) * 1e6,
+});
+
+const tsValue = (t) => (t ? t.seconds * 1e3 + t.nanoseconds / 1e6 : 0);
+
+// The signed-in user is remembered per browser, like Firebase Auth does
+const USER_KEY = "unwritten-local-user";
+
+export function createLocalBackend({ persist = true } = {}) {
+  const idb = persist
+    ? openIdb(DB_NAME, DB_VERSION, ["docs", "media"])
+    : null;
+  const docs = new Map(); // collection -> Map(id -> data)
+  const media = new Map(); // path -> Blob
+  const mediaUrls = new Map(); // path -> object URL
+  const subs = new Set();
+  const channel =
+    idb && typeof BroadcastChannel !== "undefined"
+      ? new BroadcastChannel(DB_NAME)
+      : null;
+
+  let user = null;
+  try {
+    if (persist) user = JSON.parse(localStorage.getItem(USER_KEY));
+  } catch {}
+  const authSubs = new Set();
+  const setUser = (u) => {
+    user = u;
+    try {
+      if (persist) localStorage.setItem(USER_KEY, JSON.stringify(u));
+    } catch {}
+    authSubs.forEach((fn) => fn(user));
+  };
+
+  const table = (name) => {
+    if (!docs.has(name)) docs.set(name, new Map());
+    return docs.get(name);
+  };
+
+  const hydrate = async () => {
+    if (!idb) return;
+    const rows = await idb.all("docs");
+    docs.clear();
+    rows.forEach((r) => table(r.collection).set(r.id, r.data));
+  };
+  let loaded = hydrate().catch(() => {});
+
+  const mediaUrl = async (path) => {
+    if (mediaUrls.has(path)) return mediaUrls.get(path);
+    const blob = media.get(path) || (idb && (await idb.get("media", path)));
+    if (!blob) return null;
+    const url = URL.createObjectURL(blob);
+    mediaUrls.set(path, url);
+    return url;
+  };
+
+  // Swaps media paths for object URLs, including inside nested objects
+  const resolveValue = async (v) => {
+    if (typeof v === "string" && v.startsWith(MEDIA_PREFIX))
+      return mediaUrl(v.slice(MEDIA_PREFIX.length));
+    if (v && typeof v === "object" && !Array.isArray(v)) {
+      const out = {};
+      for (const [k, x] of Object.entries(v)) out[k] = await resolveValue(x);
+      return out;
+    }
+    return v;
+  };
+
+  const resolve = async (id, data) => ({ id, ...(await resolveValue(data)) });
+
+  const matching = (name, filters) =>
+    Array.from(table(name).entries())
+      .filter(([, d]) => Object.entries(filters).every(([k, v]) => d[k] === v))
+      .sort(([, a], [, b]) => tsValue(b.createdAt) - tsValue(a.createdAt));
+
+  const emit = async (sub) => {
+    try {
+      if (sub.id) {
+        const d = table(sub.name).get(sub.id);
+        const item = d ? await resolve(sub.id, d) : null;
+        if (sub.active) sub.onNext(item);
+        return;
+      }
+      const rows = matching(sub.name, sub.filters);
+      if (sub.limit) rows.length = Math.min(rows.length, sub.limit);
+      const items = await Promise.all(rows.map(([id, d]) => resolve(id, d)));
+      if (sub.active) sub.onNext(items);
+    } catch (e) {
+      if (sub.active) sub.onError?.(e);
+    }
+  };
+
+  const changed = (name, fromOtherTab) => {
+    subs.forEach((s) => s.name === name && emit(s));
+    if (!fromOtherTab) channel?.postMessage({ name });
+  };
+
+  channel?.addEventListener("message", (ev) => {
+    loaded = hydrate().then(() => changed(ev.data?.name, true));
+  });
+
+  const listen = (sub) => {
+    sub.active = true;
+    subs.add(sub);
+    loaded.then(() => emit(sub));
+    return () => {
+      sub.active = false;
+      subs.delete(sub);
+    };
+  };
+
+  const write = async (name, id, data) => {
+    table(name).set(id, data);
+    await idb?.put("docs", `${name}/${id}`, { collection: name, id, data });
+    changed(name);
+  };
+
+  return {
+    name: "local",
+
+    async add(name, data) {
+      await loaded;
+      const id = newId();
+      await write(name, id, { ...data, createdAt: timestamp() });
+      return { id };
+    },
+
+    async update(name, id, patch) {
+      await loaded;
+      const prev = table(name).get(id);
+      if (!prev) throw new Error(`No ${name} document ${id}`);
+      await write(name, id, { ...prev, ...patch });
+    },
+
+    async create(name, id, data) {
+      await loaded;
+      if (table(name).has(id)) throw new Error(`${name}/${id} already exists`);
+      await write(name, id, { ...data, createdAt: timestamp() });
+    },
+
+    async set(name, id, data) {
+      await loaded;
+      const prev = table(name).get(id);
+      await write(name, id, { createdAt: timestamp(), ...prev, ...data });
+    },
+
+    async remove(name, id) {
+      await loaded;
+      table(name).delete(id);
+      await idb?.delete("docs", `${name}/${id}`);
+      changed(name);
+    },
+
+    async get(name, id) {
+      await loaded;
+      const d = table(name).get(id);
+      return d ? resolve(id, d) : null;
+    },
+
+    subscribe(name, filters, onNext, onError, { limit = null } = {}) {
+      return listen({ name, filters, limit, id: null, onNext, onError });
+    },
+
+    watch(name, id, onNext, onError) {
+      return listen({ name, filters: null, id, onNext, onError });
+    },
+
+    async uploadMedia(path, blob, { onProgress, signal } = {}) {
+      if (signal?.aborted)
+        throw new DOMException("Upload cancelled", "AbortError");
+      media.set(path, blob);
+      await idb?.put("media", path, blob);
+      onProgress?.(blob.size, blob.size);
+      return MEDIA_PREFIX + path;
+    },
+
+    // Docs hand out object URLs, so map those back to the stored path
+    async removeMedia(url) {
+      let path = url.startsWith(MEDIA_PREFIX)
+        ? url.slice(MEDIA_PREFIX.length)
+        : null;
+      for (const [p, u] of mediaUrls) if (u === url) path = p;
+      if (!path) return;
+      media.delete(path);
+      if (mediaUrls.has(path)) URL.revokeObjectURL(mediaUrls.get(path));
+      mediaUrls.delete(path);
+      await idb?.delete("media", path);
+    },
+
+    onAuthChange(onUser) {
+      authSubs.add(onUser);
+      onUser(user);
+      return () => authSubs.delete(onUser);
+    },
+
+    async signInAnonymously() {
+      if (!user) setUser({ uid: newId(), email: null, isAnonymous: true });
+      return user;
+    },
+
+    // There's no mail server here: "sending" the link signs in at once,
+    // keeping the current uid the way upgrading an anonymous account does
+    async sendSignInLink(email) {
+      setUser({ uid: user?.uid || newId(), email, isAnonymous: false });
+      return { signedIn: true };
+    },
+
+    completeSignInLink: async () => null,
+
+    signOut: async () => setUser(null),
+  };
+}
@@ -1,19 +1,68 @@
 // src/firebaseConfig.js
 import { initializeApp } from "firebase/app";
-import { getStorage } from "firebase/storage";
-import { getFirestore } from "firebase/firestore";
-
-/** 1) FILL THESE IN WITH YOUR PROJECT VALUES */
-const firebaseConfig = {
-  apiKey: "YOUR_API_KEY",
-  authDomain: "YOUR_APP.firebaseapp.com",
-  projectId: "YOUR_APP",
-  storageBucket: "YOUR_APP.appspot.com",
-  messagingSenderId: "YOUR_SENDER_ID",
-  appId: "YOUR_APP_ID",
+import { getStorage, connectStorageEmulator } from "firebase/storage";
+import { getFirestore, connectFirestoreEmulator } from "firebase/firestore";
+import { getAuth, connectAuthEmulator } from "firebase/auth";
+
+const env = import.meta.env;
+
+/** Values come from VITE_FIREBASE_* (see .env.example) */
+const ENV_KEYS = {
+  apiKey: "VITE_FIREBASE_API_KEY",
+  authDomain: "VITE_FIREBASE_AUTH_DOMAIN",
+  projectId: "VITE_FIREBASE_PROJECT_ID",
+  storageBucket: "VITE_FIREBASE_STORAGE_BUCKET",
+  messagingSenderId: "VITE_FIREBASE_MESSAGING_SENDER_ID",
+  appId: "VITE_FIREBASE_APP_ID",
+};
+
+export const useEmulators = env.VITE_USE_EMULATORS === "true";
+const emulatorHost = env.VITE_EMULATOR_HOST || "localhost";
+
+// The emulators accept any "demo-*" project without real credentials
+const EMULATOR_DEFAULTS = {
+  apiKey: "demo-key",
+  authDomain: "demo-unwritten.firebaseapp.com",
+  projectId: "demo-unwritten",
+  storageBucket: "demo-unwritten.appspot.com",
+  messagingSenderId: "0",
+  appId: "demo-app",
 };
-/** ---------------------------------------- */
 
-const app = initializeApp(firebaseConfig);
-export const storage = getStorage(app);
-export const db = getFirestore(app);
+const firebaseConfig = Object.fromEntries(
+  Object.entries(ENV_KEYS).map(([key, name]) => [
+    key,
+    (env[name] || "").trim() || (useEmulators ? EMULATOR_DEFAULTS[key] : ""),
+  ])
+);
+
+// Template values like "YOUR_API_KEY" / "YOUR_APP.appspot.com"
+const isPlaceholder = (v) => /YOUR_|<.*>|changeme/i.test(v);
+
+/** [{ key, env, problem: "missing" | "placeholder" }] — empty when usable */
+export const configProblems = Object.entries(ENV_KEYS)
+  .map(([key, name]) => {
+    const v = firebaseConfig[key];
+    if (!v) return { key, env: name, problem: "missing" };
+    if (isPlaceholder(v)) return { key, env: name, problem: "placeholder" };
+    return null;
+  })
+  .filter(Boolean);
+
+// Only initialise with a usable config; App shows the setup screen otherwise
+const app = configProblems.length ? null : initializeApp(firebaseConfig);
+export const storage = app && getStorage(app);
+export const db = app && getFirestore(app);
+export const auth = app && getAuth(app);
+
+// Ride out short drops only; anything longer fails the upload so it's
+// handed to the offline outbox (src/outbox.js) instead of hanging here
+if (storage) storage.maxUploadRetryTime = 60 * 1000;
+
+if (app && useEmulators) {
+  connectFirestoreEmulator(db, emulatorHost, 8080);
+  connectStorageEmulator(storage, emulatorHost, 9199);
+  connectAuthEmulator(auth, `http://${emulatorHost}:9099`, {
+    disableWarnings: true,
+  });
+}
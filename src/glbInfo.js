@@ -0,0 +1,150 @@
+import { formatBytes } from "./uploads";
+
+const MB = 1024 * 1024;
+
+// What a model may cost before it gets sluggish on a mid-range phone
+// sharing the scene with a room full of other stories
+export const MODEL_BUDGET = {
+  bytes: 15 * MB,
+  triangles: 100000,
+  textureSize: 2048, // longest side, px
+  textures: 8,
+};
+
+// Extensions the A-Frame scenes load without extra decoders
+const SUPPORTED_EXTENSIONS = [
+  "KHR_materials_emissive_strength",
+  "KHR_materials_unlit",
+  "KHR_texture_transform",
+  "KHR_mesh_quantization",
+];
+
+const CHUNK_JSON = 0x4e4f534a;
+const CHUNK_BIN = 0x004e4942;
+
+// { json, bin } of a binary glTF 2.0 file (see uploads.js isGlb)
+async function readGlb(blob) {
+  const buf = await blob.arrayBuffer();
+  const view = new DataView(buf);
+  if (view.byteLength < 20 || view.getUint32(0, true) !== 0x46546c67)
+    throw new Error("Not a binary glTF file");
+  let json = null;
+  let bin = null;
+  for (let at = 12; at + 8 <= view.byteLength; ) {
+    const length = view.getUint32(at, true);
+    const type = view.getUint32(at + 4, true);
+    const data = new Uint8Array(buf, at + 8, length);
+    if (type === CHUNK_JSON) json = JSON.parse(new TextDecoder().decode(data));
+    else if (type === CHUNK_BIN) bin = data;
+    at += 8 + length;
+  }
+  if (!json) throw new Error("The model has no glTF JSON chunk");
+  return { json, bin };
+}
+
+// Triangles drawn by one mesh (points and lines count as none)
+const meshTriangles = (json, mesh) =>
+  (mesh.primitives || []).reduce((sum, p) => {
+    const mode = p.mode ?? 4;
+    const accessor = json.accessors?.[p.indices ?? p.attributes?.POSITION];
+    const n = accessor?.count || 0;
+    if (mode === 4) return sum + Math.floor(n / 3);
+    if (mode === 5 || mode === 6) return sum + Math.max(0, n - 2);
+    return sum;
+  }, 0);
+
+async function imageSize(json, bin, image) {
+  let blob;
+  if (image.bufferView !== undefined && bin) {
+    const bv = json.bufferViews[image.bufferView];
+    const bytes = bin.subarray(
+      bv.byteOffset || 0,
+      (bv.byteOffset || 0) + bv.byteLength
+    );
+    blob = new Blob([bytes], { type: image.mimeType || "" });
+  } else if (image.uri?.startsWith("data:")) {
+    blob = await (await fetch(image.uri)).blob();
+  } else {
+    return { width: null, height: null, external: true };
+  }
+  try {
+    const bmp = await createImageBitmap(blob);
+    const size = { width: bmp.width, height: bmp.height };
+    bmp.close?.();
+    return size;
+  } catch {
+    return { width: null, height: null };
+  }
+}
+
+// Reads a GLB without rendering it:
+//   { bytes, triangles, textures: [{ name, width, height, external }],
+//     animations: [name], extensions: [name] }
+export async function inspectGlb(blob) {
+  const { json, bin } = await readGlb(blob);
+
+  // A mesh used by several nodes is drawn once per node
+  const uses = new Map();
+  for (const node of json.nodes || [])
+    if (node.mesh !== undefined)
+      uses.set(node.mesh, (uses.get(node.mesh) || 0) + 1);
+  const triangles = (json.meshes || []).reduce(
+    (sum, mesh, i) => sum + meshTriangles(json, mesh) * (uses.get(i) || 1),
+    0
+  );
+
+  const textures = await Promise.all(
+    (json.images || []).map(async (image, i) => ({
+      name: image.name || `Texture ${i + 1}`,
+      ...(await imageSize(json, bin, image)),
+    }))
+  );
+
+  return {
+    bytes: blob.size,
+    triangles,
+    textures,
+    animations: (json.animations || []).map(
+      (a, i) => a.name || `Animation ${i + 1}`
+    ),
+    extensions: json.extensionsRequired || [],
+  };
+}
+
+// Human-readable reasons a model may not work well in the AR scenes;
+// empty means it fits the budget
+export function modelWarnings(info, budget = MODEL_BUDGET) {
+  const warnings = [];
+  if (info.bytes > budget.bytes)
+    warnings.push(
+      `${formatBytes(info.bytes)} is a lot to download on a phone ` +
+        `(aim for under ${formatBytes(budget.bytes)})`
+    );
+  if (info.triangles > budget.triangles)
+    warnings.push(
+      `${info.triangles.toLocaleString()} triangles ` +
+        `(aim for under ${budget.triangles.toLocaleString()})`
+    );
+  const large = info.textures.filter(
+    (t) => Math.max(t.width || 0, t.height || 0) > budget.textureSize
+  );
+  if (large.length)
+    warnings.push(
+      `${large.length} texture(s) larger than ${budget.textureSize}px ` +
+        `(${large.map((t) => `${t.width}×${t.height}`).join(", ")})`
+    );
+  if (info.textures.length > budget.textures)
+    warnings.push(
+      `${info.textures.length} textures (aim for ${budget.textures} or fewer)`
+    );
+  if (info.textures.some((t) => t.external))
+    warnings.push("References files outside the GLB, which won't be uploaded");
+  const unsupported = info.extensions.filter(
+    (e) => !SUPPORTED_EXTENSIONS.includes(e)
+  );
+  if (unsupported.length)
+    warnings.push(
+      `Needs ${unsupported.join(", ")}, which the AR scenes can't decode`
+    );
+  return warnings;
+}
@@ -0,0 +1,41 @@
+// Tiny promise wrapper over IndexedDB key/value object stores.
+// Returns null where IndexedDB is unavailable (e.g. tests, private modes).
+//
+//   const idb = openIdb("name", 1, ["docs", { name: "jobs", autoIncrement }]);
+//   await idb.put("docs", key, value);
+export function openIdb(name, version, stores) {
+  if (typeof indexedDB === "undefined") return null;
+  const ready = new Promise((resolve, reject) => {
+    const req = indexedDB.open(name, version);
+    req.onupgradeneeded = () => {
+      stores.forEach((s) => {
+        const { name: store, ...opts } =
+          typeof s === "string" ? { name: s } : s;
+        if (!req.result.objectStoreNames.contains(store))
+          req.result.createObjectStore(store, opts);
+      });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  const run = (store, mode, fn) =>
+    ready.then(
+      (idb) =>
+        new Promise((resolve, reject) => {
+          const tx = idb.transaction(store, mode);
+          const req = fn(tx.objectStore(store));
+          tx.oncomplete = () => resolve(req.result);
+          tx.onerror = () => reject(tx.error);
+        })
+    );
+  return {
+    get: (store, key) => run(store, "readonly", (s) => s.get(key)),
+    // `key` is omitted for stores with a keyPath/autoIncrement
+    put: (store, key, value) =>
+      run(store, "readwrite", (s) =>
+        value === undefined ? s.put(key) : s.put(value, key)
+      ),
+    delete: (store, key) => run(store, "readwrite", (s) => s.delete(key)),
+    all: (store) => run(store, "readonly", (s) => s.getAll()),
+  };
+}
@@ -0,0 +1,91 @@
+import QRCode from "qrcode";
+import { roomLink } from "./qrPayload";
+
+// How a room's printed origin is recognised by the marker page
+// (public/ar/index.html). Stored on the room doc as `marker`:
+//   { type: "hiro" }                     AR.js's stock Hiro marker
+//   { type: "pattern", patternUrl }      uploaded AR.js .patt file
+//   { type: "qr" }                       the room's QR code in a black frame
+// plus `size`: printed width of the black square, in metres.
+export const MARKER_TYPES = {
+  HIRO: "hiro",
+  PATTERN: "pattern",
+  QR: "qr",
+};
+
+export const DEFAULT_MARKER = { type: MARKER_TYPES.HIRO, size: 0.2 };
+
+// AR.js default: the inner image is half the marker width, so the black
+// border takes a quarter on each side.
+const PATTERN_RATIO = 0.5;
+
+// Same encoding as AR.js's marker training tool (THREEx.ArPatternFile):
+// the inner image sampled at 16x16, in four rotations, B/G/R planes.
+export function encodePattern(image) {
+  const canvas = document.createElement("canvas");
+  canvas.width = canvas.height = 16;
+  const ctx = canvas.getContext("2d");
+  let out = "";
+  for (let rot = 0; rot > -2 * Math.PI; rot -= Math.PI / 2) {
+    ctx.save();
+    ctx.clearRect(0, 0, 16, 16);
+    ctx.translate(8, 8);
+    ctx.rotate(rot);
+    ctx.drawImage(image, -8, -8, 16, 16);
+    ctx.restore();
+    const { data } = ctx.getImageData(0, 0, 16, 16);
+    if (rot !== 0) out += "\n";
+    for (let channel = 2; channel >= 0; channel--) {
+      for (let y = 0; y < 16; y++) {
+        const row = [];
+        for (let x = 0; x < 16; x++)
+          row.push(String(data[(y * 16 + x) * 4 + channel]).padStart(3));
+        out += row.join(" ") + "\n";
+      }
+    }
+  }
+  return out;
+}
+
+// The room's QR code as an AR.js marker: `pattern` (.patt text for the
+// scene) and `png` (printable data URL with the black frame).
+export async function qrMarker(roomId, px = 1024) {
+  const inner = document.createElement("canvas");
+  await QRCode.toCanvas(inner, roomLink(roomId), {
+    errorCorrectionLevel: "M",
+    margin: 1,
+    width: Math.round(px * PATTERN_RATIO),
+  });
+
+  const printed = document.createElement("canvas");
+  printed.width = printed.height = px;
+  const ctx = printed.getContext("2d");
+  ctx.fillStyle = "#000";
+  ctx.fillRect(0, 0, px, px);
+  const border = (px * (1 - PATTERN_RATIO)) / 2;
+  ctx.drawImage(inner, border, border, px - 2 * border, px - 2 * border);
+
+  return { pattern: encodePattern(inner), png: printed.toDataURL("image/png") };
+}
+
+// Resolves a room's marker into what the marker page needs:
+// { type, size, patternUrl? }. Generated patterns become blob URLs, which
+// the same-origin scene can load; call `release()` when done.
+export async function sceneMarker(roomId, marker) {
+  const m = { ...DEFAULT_MARKER, ...(marker || {}) };
+  if (m.type === MARKER_TYPES.QR) {
+    const { pattern } = await qrMarker(roomId);
+    const blob = new Blob([pattern], { type: "text/plain" });
+    const url = URL.createObjectURL(blob);
+    return {
+      config: { type: MARKER_TYPES.PATTERN, size: m.size, patternUrl: url },
+      release: () => URL.revokeObjectURL(url),
+    };
+  }
+  if (m.type === MARKER_TYPES.PATTERN && m.patternUrl)
+    return { config: m, release: () => {} };
+  return {
+    config: { type: MARKER_TYPES.HIRO, size: m.size },
+    release: () => {},
+  };
+}
@@ -0,0 +1,114 @@
+// Recording formats and what we store about a media file.
+//
+// MP4 (H.264/AAC) comes first: it's what iPhones record and play, and
+// current Chrome records it too. Browsers without MP4 recording fall back
+// to WebM (Opus/VP8/VP9), then whatever MediaRecorder picks by default.
+const RECORDING_TYPES = {
+  video: [
+    "video/mp4;codecs=avc1.42E01E,mp4a.40.2",
+    "video/mp4;codecs=avc1,mp4a",
+    "video/mp4",
+    "video/webm;codecs=vp9,opus",
+    "video/webm;codecs=vp8,opus",
+    "video/webm",
+  ],
+  audio: [
+    "audio/mp4;codecs=mp4a.40.2",
+    "audio/mp4",
+    "audio/webm;codecs=opus",
+    "audio/webm",
+    "audio/ogg;codecs=opus",
+  ],
+};
+
+const EXTENSIONS = {
+  "video/mp4": "mp4",
+  "video/webm": "webm",
+  "video/quicktime": "mov",
+  "audio/mp4": "m4a",
+  "audio/x-m4a": "m4a",
+  "audio/aac": "aac",
+  "audio/webm": "webm",
+  "audio/ogg": "ogg",
+  "audio/mpeg": "mp3",
+  "audio/wav": "wav",
+  "audio/x-wav": "wav",
+};
+
+// "video/mp4;codecs=avc1" -> "video/mp4"
+export const baseType = (mime) =>
+  (mime || "").split(";")[0].trim().toLowerCase();
+
+export const extensionFor = (mime, fallback = "bin") =>
+  EXTENSIONS[baseType(mime)] || fallback;
+
+// 75.4 -> "1:15"
+export const formatDuration = (seconds) => {
+  const s = Math.round(seconds);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+};
+
+// First type this browser can record for "audio" | "video", or undefined
+// to let MediaRecorder choose
+export function pickRecordingType(kind) {
+  if (!window.MediaRecorder?.isTypeSupported) return undefined;
+  return RECORDING_TYPES[kind].find((t) => MediaRecorder.isTypeSupported(t));
+}
+
+// What a finished recording really is. `recorder.mimeType` is the
+// authority; some browsers leave it empty, so fall back to what was
+// asked for, then to the kind's usual container.
+export const recordedType = (recorder, requested, kind) =>
+  recorder.mimeType ||
+  requested ||
+  (kind === "video" ? "video/mp4" : "audio/mp4");
+
+// { duration, width, height } of an audio/video blob (width/height only
+// for video; null when the browser can't tell). WebM from MediaRecorder
+// has no duration in its header until the player has seeked to the end.
+export function probeMedia(blob) {
+  const kind = baseType(blob.type).startsWith("video") ? "video" : "audio";
+  return new Promise((resolve) => {
+    const url = URL.createObjectURL(blob);
+    const el = document.createElement(kind);
+    el.preload = "metadata";
+    el.muted = true;
+    const finish = () => {
+      URL.revokeObjectURL(url);
+      const d = el.duration;
+      resolve({
+        duration: Number.isFinite(d) ? Math.round(d * 10) / 10 : null,
+        width: kind === "video" ? el.videoWidth || null : null,
+        height: kind === "video" ? el.videoHeight || null : null,
+      });
+    };
+    const timeout = setTimeout(finish, 5000);
+    const done = () => {
+      clearTimeout(timeout);
+      finish();
+    };
+    el.addEventListener("error", done);
+    el.addEventListener("loadedmetadata", () => {
+      if (Number.isFinite(el.duration)) return done();
+      el.addEventListener("durationchange", () => {
+        if (Number.isFinite(el.duration)) done();
+      });
+      el.currentTime = 1e101;
+    });
+    el.src = url;
+  });
+}
+
+// Fields stored on a clip for its media file. `known` fills in what
+// probing couldn't tell (e.g. the recorder's own clock for duration).
+export async function mediaFields(blob, known = {}) {
+  const probed = await probeMedia(blob).catch(() => ({}));
+  const fields = { mimeType: blob.type || "application/octet-stream" };
+  const duration = probed.duration ?? known.duration;
+  if (duration) fields.duration = Math.round(duration * 10) / 10;
+  if (probed.width && probed.height) {
+    fields.width = probed.width;
+    fields.height = probed.height;
+  }
+  return fields;
+}
@@ -0,0 +1,243 @@
+import { mediaFields, pickRecordingType } from "./mediaFormats";
+
+// What a video goes through on the device before it's uploaded: a poster
+// frame for players, a small thumbnail for lists, the fields from
+// mediaFields(), and optionally a lighter re-encode for phones.
+//
+// Re-encoding has no in-browser encoder to lean on, so (as in trim.js)
+// the video is played into a canvas and recorded in real time.
+
+export const THUMB_W = 640;
+export const THUMB_H = 360;
+const POSTER_EDGE = 1280;
+// How long the browser gets to load or seek a video (as in probeMedia)
+// before we give up on it
+const WAIT_MS = 5000;
+
+// Past either of these, a video stutters in AR on mid-range phones
+export const VIDEO_BUDGET = {
+  edge: 1280, // longest side, px
+  bitsPerSecond: 2500000,
+};
+
+const jpeg = (canvas) =>
+  new Promise((resolve, reject) =>
+    canvas.toBlob(
+      (b) => (b ? resolve(b) : reject(new Error("Could not capture frame"))),
+      "image/jpeg",
+      0.85
+    )
+  );
+
+// Longest side at most `edge`, never upscaled, even sizes for encoders
+const fitWithin = (w, h, edge) => {
+  const k = Math.min(1, edge / Math.max(w, h));
+  return [Math.round((w * k) / 2) * 2, Math.round((h * k) / 2) * 2];
+};
+
+// A muted, inline <video> for `blob` once its metadata is in
+function openVideo(blob) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(blob);
+    const video = document.createElement("video");
+    video.muted = true;
+    video.playsInline = true;
+    video.preload = "auto";
+    const release = () => {
+      video.pause();
+      video.removeAttribute("src");
+      video.load();
+      URL.revokeObjectURL(url);
+    };
+    const fail = (message) => {
+      clearTimeout(timeout);
+      video.onloadedmetadata = video.onerror = null;
+      release();
+      reject(new Error(message));
+    };
+    const timeout = setTimeout(() => fail("Timed out reading video"), WAIT_MS);
+    video.onloadedmetadata = () => {
+      clearTimeout(timeout);
+      resolve({ video, release });
+    };
+    video.onerror = () => fail("Could not read video");
+    video.src = url;
+  });
+}
+
+const seek = (video, t) =>
+  new Promise((resolve, reject) => {
+    const settle = (error) => () => {
+      clearTimeout(timeout);
+      video.removeEventListener("seeked", onSeeked);
+      video.removeEventListener("error", onError);
+      if (error) reject(new Error(error));
+      else resolve();
+    };
+    const onSeeked = settle(null);
+    const onError = settle("Could not read video");
+    const timeout = setTimeout(settle("Timed out seeking video"), WAIT_MS);
+    video.addEventListener("seeked", onSeeked);
+    video.addEventListener("error", onError);
+    video.currentTime = t;
+  });
+
+// { poster, thumb } JPEGs from a frame ~1s in (halfway through shorter
+// videos). The thumbnail is cover-cropped to 16:9; equirect frames get
+// a centered crop.
+export async function videoStills(blob) {
+  const { video, release } = await openVideo(blob);
+  try {
+    const d = Number.isFinite(video.duration) ? video.duration : 2;
+    await seek(video, Math.min(1, d / 2));
+    const vw = video.videoWidth;
+    const vh = video.videoHeight;
+    if (!vw || !vh) throw new Error("Video has no picture");
+
+    const canvas = document.createElement("canvas");
+    [canvas.width, canvas.height] = fitWithin(vw, vh, POSTER_EDGE);
+    canvas.getContext("2d").drawImage(video, 0, 0, canvas.width, canvas.height);
+    const poster = await jpeg(canvas);
+
+    canvas.width = THUMB_W;
+    canvas.height = THUMB_H;
+    const scale = Math.max(THUMB_W / vw, THUMB_H / vh);
+    const w = vw * scale;
+    const h = vh * scale;
+    canvas
+      .getContext("2d")
+      .drawImage(video, (THUMB_W - w) / 2, (THUMB_H - h) / 2, w, h);
+    const thumb = await jpeg(canvas);
+
+    return { poster, thumb };
+  } finally {
+    release();
+  }
+}
+
+// Plain title card for stories without a picture
+export function titleCard(title, subtitle) {
+  const canvas = document.createElement("canvas");
+  canvas.width = THUMB_W;
+  canvas.height = THUMB_H;
+  const ctx = canvas.getContext("2d");
+  const g = ctx.createLinearGradient(0, 0, THUMB_W, THUMB_H);
+  g.addColorStop(0, "#0f1115");
+  g.addColorStop(1, "#00838f");
+  ctx.fillStyle = g;
+  ctx.fillRect(0, 0, THUMB_W, THUMB_H);
+  ctx.fillStyle = "#e7e7ea";
+  ctx.textAlign = "center";
+  ctx.font = "bold 40px system-ui, sans-serif";
+  ctx.fillText(title || "Untitled", THUMB_W / 2, THUMB_H / 2, THUMB_W - 64);
+  ctx.fillStyle = "#a8abb6";
+  ctx.font = "22px system-ui, sans-serif";
+  ctx.fillText(subtitle, THUMB_W / 2, THUMB_H / 2 + 44, THUMB_W - 64);
+  return jpeg(canvas);
+}
+
+// Whether a video (its mediaFields and size in bytes) is over budget
+export function isHeavyVideo({ width, height, duration }, bytes) {
+  if (Math.max(width || 0, height || 0) > VIDEO_BUDGET.edge) return true;
+  return !!duration && (bytes * 8) / duration > VIDEO_BUDGET.bitsPerSecond;
+}
+
+// Re-encodes a video within VIDEO_BUDGET. Takes as long as the video;
+// `onProgress(0..1)` follows playback.
+export async function shrinkVideo(blob, { onProgress } = {}) {
+  const { video, release } = await openVideo(blob);
+  const capture = video.captureStream || video.mozCaptureStream;
+  const canvas = document.createElement("canvas");
+  if (!capture || !canvas.captureStream || !window.MediaRecorder) {
+    release();
+    throw new Error("This browser can't resize videos");
+  }
+  [canvas.width, canvas.height] = fitWithin(
+    video.videoWidth,
+    video.videoHeight,
+    VIDEO_BUDGET.edge
+  );
+  const ctx = canvas.getContext("2d");
+
+  return new Promise((resolve, reject) => {
+    // picture from the canvas, sound straight from the file
+    const stream = canvas.captureStream(30);
+    video.addEventListener(
+      "playing",
+      () =>
+        capture
+          .call(video)
+          .getAudioTracks()
+          .forEach((t) => stream.addTrack(t)),
+      { once: true }
+    );
+
+    const mimeType = pickRecordingType("video");
+    const recorder = new MediaRecorder(stream, {
+      ...(mimeType && { mimeType }),
+      videoBitsPerSecond: VIDEO_BUDGET.bitsPerSecond,
+    });
+    const chunks = [];
+    let frame = null;
+    recorder.ondataavailable = (e) => {
+      if (e.data && e.data.size > 0) chunks.push(e.data);
+    };
+    recorder.onstop = () => {
+      cancelAnimationFrame(frame);
+      release();
+      resolve(new Blob(chunks, { type: recorder.mimeType || mimeType }));
+    };
+
+    const draw = () => {
+      ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+      onProgress?.(Math.min(1, video.currentTime / (video.duration || 1)));
+      frame = requestAnimationFrame(draw);
+    };
+    const fail = (err) => {
+      recorder.onstop = null;
+      if (recorder.state !== "inactive") recorder.stop();
+      cancelAnimationFrame(frame);
+      release();
+      reject(err);
+    };
+    video.addEventListener("ended", () => {
+      if (recorder.state === "recording") recorder.stop();
+    });
+    video.addEventListener("error", () =>
+      fail(new Error("Could not read video"))
+    );
+
+    draw();
+    recorder.start(250);
+    video.play().catch(fail);
+  });
+}
+
+// Everything to store with a video clip. Stills are a nicety: a video
+// the browser can't draw still uploads, just without them.
+export async function prepareVideo(blob, { shrink, known, onProgress } = {}) {
+  const out = shrink ? await shrinkVideo(blob, { onProgress }) : blob;
+  const [fields, stills] = await Promise.all([
+    mediaFields(out, known),
+    videoStills(out).catch(() => null),
+  ]);
+  return { blob: out, fields, stills };
+}
+
+// Outbox media entries that upload stills next to the clip
+export const stillsMedia = (roomId, stills) => {
+  if (!stills) return [];
+  const at = Date.now();
+  return [
+    {
+      field: "posterUrl",
+      path: `rooms/${roomId}/thumbs/${at}-poster.jpg`,
+      blob: stills.poster,
+    },
+    {
+      field: "thumbUrl",
+      path: `rooms/${roomId}/thumbs/${at}-thumb.jpg`,
+      blob: stills.thumb,
+    },
+  ];
+};
@@ -0,0 +1,49 @@
+import { backend } from "./backend";
+
+// Every `clips`/`experiences` doc carries a `status`; rooms and AR scenes
+// only ever load approved ones. Rooms in approval mode
+// (`rooms/{roomId}.moderation === "approval"`) start new stories as
+// pending until the room owner (`ownerUid`) looks at them.
+export const STATUS = {
+  PENDING: "pending",
+  APPROVED: "approved",
+  REJECTED: "rejected", // turned down in review
+  HIDDEN: "hidden", // taken down after being shown
+};
+
+export const MODERATION = {
+  OPEN: "open",
+  APPROVAL: "approval",
+};
+
+export const initialStatus = (room) =>
+  room?.moderation === MODERATION.APPROVAL ? STATUS.PENDING : STATUS.APPROVED;
+
+export const isRoomOwner = (room, user) =>
+  !!user && !!room?.ownerUid && room.ownerUid === user.uid;
+
+// Stories from before moderation have no status until
+// scripts/migrate-legacy.js marks them approved. Until then the public
+// queries skip them and they wait in the owner's queue like pending ones.
+export const statusOf = (item) => item.status || STATUS.PENDING;
+
+// Featured first, otherwise keep the newest-first order
+export const featuredFirst = (items) =>
+  [...items].sort((a, b) => !!b.featured - !!a.featured);
+
+export const REPORT_REASONS = {
+  offensive: "Offensive or hateful",
+  personal: "Shares someone's private information",
+  spam: "Spam or advertising",
+  other: "Something else",
+};
+
+// Visitor report, shown to the room owner on the dashboard
+export const reportStory = ({ roomId, collection, item, reason, uid }) =>
+  backend.add("reports", {
+    roomId,
+    collection,
+    itemId: item.id,
+    reason,
+    uid,
+  });
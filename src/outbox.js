@@ -0,0 +1,204 @@
+import { useEffect, useState } from "react";
+import { backend } from "./backend";
+import { openIdb } from "./idb";
+
+// Durable queue for submissions that couldn't be uploaded (bad gallery
+// signal). Entries survive reloads in IndexedDB and are sent in the
+// background once the browser is back online.
+//
+// Entry: { collection, doc, media: [{ field, path, blob, url }] }
+// Each media blob is uploaded to `path` and its URL stored in doc[field].
+// Once uploaded, `url` is kept on the entry (and the blob dropped) so a
+// later attempt only writes what's missing.
+//
+// Entries the server refuses, or that keep failing, are marked `failed`:
+// they stay listed in the pending-uploads indicator until discarded, but
+// aren't sent again. Only failures other than lost connections count
+// towards MAX_ATTEMPTS.
+
+const RETRY_MS = 60 * 1000;
+const MAX_ATTEMPTS = 5;
+
+const idb = openIdb("unwritten-outbox", 1, [
+  { name: "entries", keyPath: "id", autoIncrement: true },
+]);
+// Without IndexedDB the queue still works for this page session
+const memory = new Map();
+let memoryId = 1;
+
+const listeners = new Set();
+let syncing = false;
+
+const store = {
+  all: () =>
+    idb ? idb.all("entries") : Promise.resolve(Array.from(memory.values())),
+  put: async (entry) => {
+    if (idb) return idb.put("entries", entry);
+    const id = entry.id || memoryId++;
+    memory.set(id, { ...entry, id });
+    return id;
+  },
+  delete: (id) =>
+    idb ? idb.delete("entries", id) : Promise.resolve(memory.delete(id)),
+};
+
+async function notify() {
+  const entries = await store.all().catch(() => []);
+  listeners.forEach((fn) => fn(entries, syncing));
+}
+
+const NETWORK_CODES = [
+  "storage/retry-limit-exceeded",
+  "unavailable",
+  "deadline-exceeded",
+];
+
+// Worth queueing: we're offline or the SDK gave up on the connection
+// (a TypeError is what fetch() throws on network failure)
+export const isNetworkError = (e) =>
+  !navigator.onLine ||
+  e instanceof TypeError ||
+  NETWORK_CODES.includes(e?.code);
+
+// Retrying won't help: the rules turned the story down (say the room
+// switched to approval mode, or the anonymous account changed)
+const PERMANENT_CODES = [
+  "permission-denied",
+  "invalid-argument",
+  "storage/unauthorized",
+];
+
+export const isPermanentError = (e) => PERMANENT_CODES.includes(e?.code);
+
+// Uploads an entry's media (via `put`, defaults to a plain upload) and
+// writes its document. Used both live and when draining the queue.
+// Media that already went up on an earlier attempt is skipped; each new
+// upload is recorded on `entry` and reported to `onUploaded(entry)`.
+export async function submitEntry(
+  entry,
+  put = backend.uploadMedia,
+  onUploaded
+) {
+  const doc = { ...entry.doc };
+  for (const m of entry.media || []) {
+    if (!m.url) {
+      m.url = await put(m.path, m.blob);
+      m.blob = null;
+      await onUploaded?.(entry);
+    }
+    doc[m.field] = m.url;
+  }
+  return backend.add(entry.collection, doc);
+}
+
+export async function enqueue(entry) {
+  const id = await store.put({
+    ...entry,
+    queuedAt: Date.now(),
+    attempts: 0,
+    lastError: null,
+    failed: false,
+  });
+  notify();
+  return id;
+}
+
+// Sends queued entries oldest first; one tab at a time where Web Locks
+// exist, so two open tabs don't upload the same recording twice.
+export async function flush() {
+  if (syncing || !navigator.onLine) return;
+  const drain = async () => {
+    syncing = true;
+    notify();
+    try {
+      const entries = (await store.all())
+        .filter((e) => !e.failed)
+        .sort((a, b) => a.id - b.id);
+      for (const entry of entries) {
+        if (!navigator.onLine) break;
+        try {
+          await submitEntry(entry, undefined, (e) => store.put(e));
+          await store.delete(entry.id);
+        } catch (e) {
+          // Dropped connections don't count against the entry
+          const attempts = entry.attempts + (isNetworkError(e) ? 0 : 1);
+          await store.put({
+            ...entry,
+            attempts,
+            lastError: e.message,
+            failed: isPermanentError(e) || attempts >= MAX_ATTEMPTS,
+          });
+        }
+        notify();
+      }
+    } finally {
+      syncing = false;
+      notify();
+    }
+  };
+  if (navigator.locks)
+    return navigator.locks.request(
+      "unwritten-outbox",
+      { ifAvailable: true },
+      (lock) => (lock ? drain() : undefined)
+    );
+  return drain();
+}
+
+// Drain on startup, whenever we come back online, and every minute.
+// Returns a stop function.
+export function startOutboxSync() {
+  const onOnline = () => flush();
+  window.addEventListener("online", onOnline);
+  const timer = setInterval(flush, RETRY_MS);
+  flush();
+  return () => {
+    window.removeEventListener("online", onOnline);
+    clearInterval(timer);
+  };
+}
+
+// Drops the entries that won't be sent, and whatever media of theirs
+// already made it up
+export async function discardFailed() {
+  const failed = (await store.all()).filter((e) => e.failed);
+  for (const entry of failed) {
+    await Promise.all(
+      (entry.media || [])
+        .filter((m) => m.url)
+        .map((m) => backend.removeMedia(m.url).catch(() => {}))
+    );
+    await store.delete(entry.id);
+  }
+  notify();
+}
+
+// { count, failed, syncing, lastError, failedError }; `count` excludes
+// failed entries
+const summarize = (entries, isSyncing) => {
+  const waiting = entries.filter((e) => !e.failed);
+  const failed = entries.filter((e) => e.failed);
+  return {
+    count: waiting.length,
+    failed: failed.length,
+    syncing: isSyncing,
+    lastError: waiting.find((e) => e.lastError)?.lastError || null,
+    failedError: failed[0]?.lastError || null,
+  };
+};
+
+export const pendingUploads = async () =>
+  summarize(await store.all().catch(() => []), syncing);
+
+// The summary above plus { flush, discardFailed }, for the pending-uploads
+// indicator
+export function usePendingUploads() {
+  const [state, setState] = useState(() => summarize([], false));
+  useEffect(() => {
+    const fn = (entries, isSyncing) => setState(summarize(entries, isSyncing));
+    listeners.add(fn);
+    notify();
+    return () => listeners.delete(fn);
+  }, []);
+  return { ...state, flush, discardFailed };
+}
@@ -0,0 +1,60 @@
+// Classifies whatever a scanned QR code contains. Nothing decoded from a
+// code is ever navigated to blindly: room/experience codes are handled in
+// the app, web links need confirmation, anything else is refused.
+//
+//   { kind: "room", roomId }
+//   { kind: "experience", roomId, experienceId }
+//   { kind: "external", url }          http(s) link to another site
+//   { kind: "unsupported", raw }       javascript:, data:, text, …
+
+import { SCREENS, parseRoute, routePath } from "./router";
+
+// Same shape rooms are typed in: "hirosquare-01", "demo-room"
+const ROOM_ID_RE = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+
+export const isValidRoomId = (s) => ROOM_ID_RE.test(s || "");
+
+export function parseQrPayload(raw, origin = window.location.origin) {
+  const data = (raw || "").trim();
+  if (!data) return { kind: "unsupported", raw: data };
+
+  // Printed codes may carry just the room id
+  if (isValidRoomId(data)) return { kind: "room", roomId: data };
+
+  let url;
+  try {
+    url = new URL(data);
+  } catch {
+    return { kind: "unsupported", raw: data };
+  }
+  if (url.protocol !== "https:" && url.protocol !== "http:")
+    return { kind: "unsupported", raw: data };
+
+  // /room/:id, /room/:id/experience/:expId and the older ?room=&exp=
+  if (url.origin === origin) {
+    const { roomId, experienceId } = parseRoute(url.pathname, url.search);
+    if (isValidRoomId(roomId) && experienceId)
+      return { kind: "experience", roomId, experienceId };
+    if (isValidRoomId(roomId)) return { kind: "room", roomId };
+    return { kind: "unsupported", raw: data };
+  }
+
+  return { kind: "external", url: url.href };
+}
+
+// Link encoded in our own room/experience codes (parsed back above)
+export const roomLink = (
+  roomId,
+  experienceId,
+  origin = window.location.origin
+) =>
+  origin +
+  routePath({
+    screen: experienceId ? SCREENS.IMMERSIVE : SCREENS.HOME,
+    roomId,
+    experienceId,
+  });
+
+// Share link for one story in the room's gallery
+export const clipLink = (roomId, clipId, origin = window.location.origin) =>
+  origin + routePath({ screen: SCREENS.CLIP, roomId, clipId });
@@ -0,0 +1,200 @@
+import { useEffect, useState } from "react";
+import { backend } from "./backend";
+import { MODERATION } from "./moderation";
+import { isValidRoomId } from "./qrPayload";
+
+// `rooms/{roomId}`: the room's public card plus its settings
+//   { title, description, coverUrl, ownerUid, visibility,
+//     moderation, maxClipSeconds, marker, accessRevision, createdAt }
+// The optional access code lives apart in `roomSecrets/{roomId}`
+// ({ accessCode, codeVersion }, owner only).
+//
+// Visitors never store the code. The owner publishes a key doc named
+// after it, `rooms/{roomId}/keys/{code}` ({ codeVersion }), which only
+// those who know the code can fetch; joining copies its random
+// `codeVersion` into `roomMembers/{roomId}_{uid}`, and the security rules
+// compare that with `roomSecrets`. A new code comes with a new version,
+// so earlier memberships stop working, and a new public `accessRevision`
+// on the room so members' apps notice and ask for the code again.
+export const VISIBILITY = {
+  PUBLIC: "public", // listed in the room picker
+  UNLISTED: "unlisted", // anyone with the link or QR code
+  PRIVATE: "private", // owner, and visitors with the access code
+};
+
+export const ROOM_DEFAULTS = {
+  title: "",
+  description: "",
+  visibility: VISIBILITY.PUBLIC,
+  moderation: MODERATION.OPEN,
+  maxClipSeconds: 180,
+};
+
+// Longest recording a room may allow (firestore.rules agrees). Trimmed
+// audio is re-encoded as WAV, and 5 min of it stays under the 50 MB
+// audio limit.
+export const MAX_CLIP_SECONDS = 300;
+
+// "Hiro Square, 1st floor" -> "hiro-square-1st-floor"
+export const slugify = (s) =>
+  s
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 48);
+
+const memberId = (roomId, uid) => `${roomId}_${uid}`;
+
+const keysOf = (roomId) => `rooms/${roomId}/keys`;
+// Codes are typed freely; document IDs can't hold "/"
+const keyId = (code) => encodeURIComponent(code);
+
+// Anyone signed in may try codes against the key docs, so short ones are
+// refused (firestore.rules does too)
+export const ACCESS_CODE_MIN = 6;
+const ACCESS_CODE_MAX = 100;
+
+// Why `code` can't be a room's access code, or null if it can
+export function accessCodeProblem(code) {
+  if (code.length < ACCESS_CODE_MIN)
+    return `Access codes need at least ${ACCESS_CODE_MIN} characters.`;
+  if (code.length > ACCESS_CODE_MAX)
+    return `Access codes can be at most ${ACCESS_CODE_MAX} characters.`;
+  // Firestore refuses these as document IDs, even once encoded
+  if (/^\.\.?$/.test(code) || /^__.*__$/.test(code))
+    return "That access code isn't allowed; try another.";
+  return null;
+}
+
+const assertAccessCode = (code) => {
+  const problem = code && accessCodeProblem(code);
+  if (problem) throw new Error(problem);
+};
+
+// getRandomValues works outside secure contexts (phones on a LAN IP)
+const randomToken = () =>
+  Array.from(crypto.getRandomValues(new Uint8Array(16)), (b) =>
+    b.toString(16).padStart(2, "0")
+  ).join("");
+
+// Replaces the room's code: new secret and key, old key gone. Returns the
+// room's new `accessRevision`.
+async function replaceAccessCode(roomId, accessCode, previous) {
+  const codeVersion = accessCode ? randomToken() : null;
+  await backend.set("roomSecrets", roomId, { accessCode, codeVersion });
+  if (previous) await backend.remove(keysOf(roomId), keyId(previous));
+  if (accessCode)
+    await backend.set(keysOf(roomId), keyId(accessCode), { codeVersion });
+  return randomToken();
+}
+
+export async function createRoom(roomId, data, { accessCode, uid }) {
+  if (!isValidRoomId(roomId))
+    throw new Error("Room IDs use letters, numbers, - and _ only.");
+  assertAccessCode(accessCode);
+  await backend.create("rooms", roomId, {
+    ...ROOM_DEFAULTS,
+    ...data,
+    ownerUid: uid,
+  });
+  if (accessCode)
+    await backend.set("rooms", roomId, {
+      accessRevision: await replaceAccessCode(roomId, accessCode, ""),
+    });
+}
+
+export async function updateRoom(roomId, data, { accessCode } = {}) {
+  const patch = { ...data };
+  if (accessCode !== undefined) {
+    const previous = await getAccessCode(roomId);
+    if (accessCode !== previous) {
+      // codes set before these checks keep working until they're changed
+      assertAccessCode(accessCode);
+      patch.accessRevision = await replaceAccessCode(
+        roomId,
+        accessCode,
+        previous
+      );
+    }
+  }
+  await backend.set("rooms", roomId, patch);
+}
+
+// Only the owner can read the code back (to show it in the room form)
+export const getAccessCode = async (roomId) =>
+  (await backend.get("roomSecrets", roomId).catch(() => null))?.accessCode ||
+  "";
+
+// Joins a private room with its access code: the code's key doc only
+// exists (and can only be fetched) when the code is right
+export async function joinRoom(roomId, uid, accessCode) {
+  const wrong = () => new Error("That code doesn't open this room.");
+  if (!accessCode) throw wrong();
+  const [key, room] = await Promise.all([
+    backend.get(keysOf(roomId), keyId(accessCode)).catch(() => null),
+    backend.get("rooms", roomId),
+  ]);
+  if (!key?.codeVersion) throw wrong();
+  try {
+    await backend.set("roomMembers", memberId(roomId, uid), {
+      roomId,
+      uid,
+      codeVersion: key.codeVersion,
+      accessRevision: room?.accessRevision || null,
+    });
+  } catch (e) {
+    if (e?.code === "permission-denied") throw wrong();
+    throw e;
+  }
+}
+
+// { allowed, loading } — may this user see the room's stories?
+export function useRoomAccess(roomId, room, user) {
+  const isPrivate = room?.visibility === VISIBILITY.PRIVATE;
+  const isOwner = !!user && room?.ownerUid === user.uid;
+  const watchId =
+    isPrivate && !isOwner && user ? memberId(roomId, user.uid) : null;
+  const [member, setMember] = useState({ id: null, doc: null });
+
+  useEffect(() => {
+    if (!watchId) return;
+    return backend.watch(
+      "roomMembers",
+      watchId,
+      (doc) => setMember({ id: watchId, doc }),
+      () => setMember({ id: watchId, doc: null })
+    );
+  }, [watchId]);
+
+  if (!isPrivate || isOwner) return { allowed: true, loading: false };
+  if (!watchId) return { allowed: false, loading: false };
+  if (member.id !== watchId) return { allowed: false, loading: true };
+  // Joined with a code the owner has since replaced
+  const current =
+    !!member.doc &&
+    (member.doc.accessRevision || null) === (room.accessRevision || null);
+  return { allowed: current, loading: false };
+}
+
+// Rooms opened on this device, newest first (for the picker)
+const RECENT_KEY = "unwritten-recent-rooms";
+const RECENT_MAX = 8;
+
+export function recentRooms() {
+  try {
+    const list = JSON.parse(localStorage.getItem(RECENT_KEY));
+    return Array.isArray(list) ? list.filter(isValidRoomId) : [];
+  } catch {
+    return [];
+  }
+}
+
+export function rememberRoom(roomId) {
+  if (!isValidRoomId(roomId)) return;
+  const list = [roomId, ...recentRooms().filter((r) => r !== roomId)];
+  try {
+    localStorage.setItem(RECENT_KEY, JSON.stringify(list.slice(0, RECENT_MAX)));
+  } catch {}
+}
@@ -0,0 +1,161 @@
+import { useCallback, useEffect, useState } from "react";
+
+// Every app screen has a URL, so refresh, shared links and the phone's
+// back button all land where the user was:
+//
+//   /                                   HOME (no room yet)
+//   /scan                               SCAN
+//   /mine                               MINE (also under /room/:roomId)
+//   /rooms/new                          CREATE_ROOM (also under /room/:roomId,
+//                                       to set up a room that doesn't exist)
+//   /room/:roomId                       HOME
+//   /room/:roomId/<segment>             see SEGMENTS below
+//   /room/:roomId/experience/:expId     IMMERSIVE with one experience open
+//   /room/:roomId/clip/:clipId          CLIP (one story in the gallery)
+//
+// Old `/?room=…&exp=…` links are still understood and rewritten on load.
+
+export const SCREENS = {
+  HOME: "HOME",
+  SCAN: "SCAN",
+  VOICE: "VOICE",
+  SUBMIT: "SUBMIT",
+  IMMERSIVE: "IMMERSIVE",
+  WALK: "WALK",
+  MARKER: "MARKER",
+  CREATE_EXPERIENCE: "CREATE_EXPERIENCE",
+  WRITE: "WRITE",
+  SETUP: "SETUP",
+  MINE: "MINE",
+  MODERATE: "MODERATE",
+  CREATE_ROOM: "CREATE_ROOM",
+  GALLERY: "GALLERY",
+  CLIP: "CLIP",
+  TOURS: "TOURS",
+};
+
+const SEGMENTS = {
+  [SCREENS.SCAN]: "scan",
+  [SCREENS.VOICE]: "record",
+  [SCREENS.SUBMIT]: "submit",
+  [SCREENS.IMMERSIVE]: "experiences",
+  [SCREENS.WALK]: "walk",
+  [SCREENS.MARKER]: "marker",
+  [SCREENS.CREATE_EXPERIENCE]: "experiences/new",
+  [SCREENS.WRITE]: "write",
+  [SCREENS.SETUP]: "setup",
+  [SCREENS.MINE]: "mine",
+  [SCREENS.MODERATE]: "moderate",
+  [SCREENS.CREATE_ROOM]: "rooms/new",
+  [SCREENS.GALLERY]: "gallery",
+  [SCREENS.TOURS]: "tours",
+};
+
+// Screens that make sense before a room is chosen
+const ROOMLESS = [SCREENS.SCAN, SCREENS.MINE, SCREENS.CREATE_ROOM];
+
+const screenFor = (segment) =>
+  Object.keys(SEGMENTS).find((s) => SEGMENTS[s] === segment);
+
+const decode = (s) => {
+  try {
+    return decodeURIComponent(s);
+  } catch {
+    return null;
+  }
+};
+
+// { screen, roomId, experienceId, clipId } for a location; unknown paths
+// are HOME
+export function parseRoute(pathname, search = "") {
+  const home = {
+    screen: SCREENS.HOME,
+    roomId: "",
+    experienceId: null,
+    clipId: null,
+  };
+  const parts = pathname.split("/").filter(Boolean);
+
+  if (!parts.length) {
+    const q = new URLSearchParams(search);
+    const roomId = q.get("room") || "";
+    const experienceId = q.get("exp") || null;
+    if (roomId && experienceId)
+      return { ...home, screen: SCREENS.IMMERSIVE, roomId, experienceId };
+    return { ...home, roomId };
+  }
+  if (parts[0] !== "room") {
+    const screen = screenFor(parts.join("/"));
+    return ROOMLESS.includes(screen) ? { ...home, screen } : home;
+  }
+  if (!parts[1]) return home;
+
+  const roomId = decode(parts[1]);
+  if (!roomId) return home;
+  const rest = parts.slice(2);
+  if (!rest.length) return { ...home, roomId };
+  if (rest.length === 2 && rest[0] === "experience") {
+    const experienceId = decode(rest[1]);
+    if (experienceId)
+      return { ...home, screen: SCREENS.IMMERSIVE, roomId, experienceId };
+  }
+  if (rest.length === 2 && rest[0] === "clip") {
+    const clipId = decode(rest[1]);
+    if (clipId) return { ...home, screen: SCREENS.CLIP, roomId, clipId };
+  }
+  const screen = screenFor(rest.join("/"));
+  return { ...home, screen: screen || SCREENS.HOME, roomId };
+}
+
+// Canonical path for a route (inverse of parseRoute)
+export function routePath({
+  screen = SCREENS.HOME,
+  roomId,
+  experienceId,
+  clipId,
+}) {
+  if (!roomId) return ROOMLESS.includes(screen) ? `/${SEGMENTS[screen]}` : "/";
+  const base = `/room/${encodeURIComponent(roomId)}`;
+  if (screen === SCREENS.IMMERSIVE && experienceId)
+    return `${base}/experience/${encodeURIComponent(experienceId)}`;
+  if (screen === SCREENS.CLIP && clipId)
+    return `${base}/clip/${encodeURIComponent(clipId)}`;
+  return SEGMENTS[screen] ? `${base}/${SEGMENTS[screen]}` : base;
+}
+
+const current = () => parseRoute(location.pathname, location.search);
+
+// [route, navigate]: the route follows the address bar (including
+// back/forward); navigate(route, { replace }) pushes or replaces an entry.
+export function useRoute() {
+  const [route, setRoute] = useState(current);
+
+  useEffect(() => {
+    // canonicalise legacy/odd URLs without adding a history entry
+    const path = routePath(current());
+    if (path !== location.pathname || location.search)
+      history.replaceState(null, "", path + location.hash);
+
+    const onPop = () => setRoute(current());
+    window.addEventListener("popstate", onPop);
+    return () => window.removeEventListener("popstate", onPop);
+  }, []);
+
+  const navigate = useCallback((next, { replace = false } = {}) => {
+    const route = {
+      screen: SCREENS.HOME,
+      roomId: "",
+      experienceId: null,
+      clipId: null,
+      ...next,
+    };
+    const path = routePath(route);
+    if (path !== location.pathname) {
+      if (replace) history.replaceState(null, "", path);
+      else history.pushState(null, "", path);
+    }
+    setRoute(route);
+  }, []);
+
+  return [route, navigate];
+}
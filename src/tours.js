@@ -0,0 +1,72 @@
+import { toSceneClip, toSceneExperience } from "./arBridge";
+import { backend } from "./backend";
+
+// `tours/{tourId}`: an ordered walk through a room's stories, made by
+// the room's owner
+//   { roomId, uid, title, stops: [{ collection, id, narration }], createdAt }
+// `collection` is "clips" or "experiences"; `narration` is optional text
+// shown in the scene before the stop's story plays.
+export const TOUR_LIMITS = {
+  title: 120,
+  stops: 50,
+  narration: 480,
+};
+
+export const stopKey = (stop) => `${stop.collection}/${stop.id}`;
+
+// The story a stop points at, if it's still in the room (a story that
+// was hidden or deleted drops out of its tours)
+export const storyFor = (stop, clips, experiences) =>
+  (stop.collection === "clips" ? clips : experiences).find(
+    (s) => s.id === stop.id
+  ) || null;
+
+// What the AR scenes need to play a tour (see public/ar/tour.js).
+// External experiences can't be shown in a scene and are left out.
+export function sceneTour(tour, clips, experiences) {
+  const stops = (tour.stops || [])
+    .map((stop) => {
+      const story = storyFor(stop, clips, experiences);
+      if (!story || story.externalUrl) return null;
+      return {
+        key: stopKey(stop),
+        narration: stop.narration || "",
+        ...(stop.collection === "clips"
+          ? { clip: toSceneClip(story) }
+          : { experience: toSceneExperience(story) }),
+      };
+    })
+    .filter(Boolean);
+  return { id: tour.id, title: tour.title || "Tour", stops };
+}
+
+// Returns a list of problems; empty means OK to save
+export function validateTour({ title, stops }) {
+  const problems = [];
+  if (!title.trim()) problems.push("Give the tour a title.");
+  if (title.length > TOUR_LIMITS.title)
+    problems.push(`Titles are at most ${TOUR_LIMITS.title} characters.`);
+  if (!stops.length) problems.push("Add at least one story.");
+  if (stops.length > TOUR_LIMITS.stops)
+    problems.push(`A tour has at most ${TOUR_LIMITS.stops} stops.`);
+  if (stops.some((s) => (s.narration || "").length > TOUR_LIMITS.narration))
+    problems.push(
+      `Narration is at most ${TOUR_LIMITS.narration} characters per stop.`
+    );
+  return problems;
+}
+
+const cleanStops = (stops) =>
+  stops.map(({ collection, id, narration }) => ({
+    collection,
+    id,
+    ...(narration?.trim() && { narration: narration.trim() }),
+  }));
+
+export async function saveTour(roomId, uid, { id, title, stops }) {
+  const data = { title: title.trim(), stops: cleanStops(stops) };
+  if (id) await backend.update("tours", id, data);
+  else await backend.add("tours", { roomId, uid, ...data });
+}
+
+export const removeTour = (id) => backend.remove("tours", id);
@@ -0,0 +1,31 @@
+import { extensionFor } from "../mediaFormats";
+
+// Sends the media to a transcription service speaking the OpenAI
+// /audio/transcriptions format (faster-whisper servers, whisper.cpp's
+// server and others do). The service must not need a secret: anything
+// in VITE_* ends up in the page.
+export function createHttpEngine({ url, model = "whisper-1" }) {
+  return {
+    name: "http",
+
+    async transcribe(blob, { lang, onProgress } = {}) {
+      if (!url) throw new Error("VITE_TRANSCRIPTION_URL is not set");
+      const form = new FormData();
+      form.append("file", blob, `clip.${extensionFor(blob.type, "webm")}`);
+      form.append("model", model);
+      form.append("response_format", "verbose_json");
+      if (lang) form.append("language", lang.split("-")[0]);
+      onProgress?.(0);
+      const res = await fetch(url, { method: "POST", body: form });
+      if (!res.ok)
+        throw new Error(`Transcription service answered ${res.status}`);
+      const { segments = [] } = await res.json();
+      onProgress?.(1);
+      return segments.map((s) => ({
+        start: s.start,
+        end: s.end,
+        text: s.text,
+      }));
+    },
+  };
+}
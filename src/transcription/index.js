@@ -0,0 +1,117 @@
+import { backend } from "../backend";
+import { formatBytes } from "../uploads";
+import { createHttpEngine } from "./http";
+import { createWhisperEngine } from "./whisper";
+
+// Speech-to-text for audio and video clips. Engines implement:
+//
+//   transcribe(blob, { lang, onProgress(0..1) }) -> [{ start, end, text }]
+//                                    (seconds from the start of the clip)
+//
+// The result is stored on the clip as WebVTT (`captions`) plus plain
+// text (`transcript`, used by gallery search). Scenes and players show
+// the captions in sync with playback. Transcribing only happens when the
+// room's owner asks for it from the moderation dashboard, and only for
+// media up to MAX_BYTES.
+//
+// VITE_TRANSCRIPTION picks the engine: "off" (default), "whisper"
+// (on-device Whisper running as WASM, a ~40 MB model download) or "http"
+// (POST to VITE_TRANSCRIPTION_URL, an OpenAI-compatible
+// /audio/transcriptions endpoint).
+const engines = {
+  whisper: () => createWhisperEngine(),
+  http: () =>
+    createHttpEngine({
+      url: import.meta.env.VITE_TRANSCRIPTION_URL,
+      model: import.meta.env.VITE_TRANSCRIPTION_MODEL,
+    }),
+  off: () => null,
+};
+
+// OpenAI's endpoint takes up to 25 MB, and decoding much more than that
+// on a phone runs it out of memory
+export const MAX_BYTES = 25 * 1024 * 1024;
+
+const kind = (import.meta.env.VITE_TRANSCRIPTION || "off").trim();
+
+/** [{ env, problem: "unknown", hint }] — empty when usable (see SetupScreen) */
+export const configProblems = engines[kind]
+  ? []
+  : [
+      {
+        env: "VITE_TRANSCRIPTION",
+        problem: "unknown",
+        hint: `use ${Object.keys(engines).join(", ")}`,
+      },
+    ];
+
+export const engine = engines[kind]?.() ?? null;
+
+export const canTranscribe = (clip) =>
+  !!engine && (clip.type === "audio" || clip.type === "video");
+
+const stamp = (t) => {
+  const ms = Math.max(0, Math.round(t * 1000));
+  const h = String(Math.floor(ms / 3600000)).padStart(2, "0");
+  const m = String(Math.floor(ms / 60000) % 60).padStart(2, "0");
+  const s = String(Math.floor(ms / 1000) % 60).padStart(2, "0");
+  return `${h}:${m}:${s}.${String(ms % 1000).padStart(3, "0")}`;
+};
+
+export const toVtt = (segments) =>
+  "WEBVTT\n\n" +
+  segments
+    .map((c) => `${stamp(c.start)} --> ${stamp(c.end)}\n${c.text}`)
+    .join("\n\n") +
+  "\n";
+
+const seconds = (t) =>
+  t
+    .split(":")
+    .reverse()
+    .reduce((sum, part, i) => sum + Number(part) * 60 ** i, 0);
+
+// [{ start, end, text }] from our own WebVTT (no styling or settings)
+export function parseVtt(vtt) {
+  return (vtt || "")
+    .split(/\r?\n\r?\n/)
+    .map((block) => {
+      const lines = block.split(/\r?\n/);
+      const at = lines.findIndex((l) => l.includes("-->"));
+      if (at < 0) return null;
+      const [from, to] = lines[at].split("-->").map((s) => s.trim());
+      return {
+        start: seconds(from),
+        end: seconds(to.split(/\s/)[0]),
+        text: lines.slice(at + 1).join("\n"),
+      };
+    })
+    .filter(Boolean);
+}
+
+// Transcribes a clip's media (the blob just recorded, or its uploaded
+// file) and stores the result on the clip
+export async function transcribeClip(clip, blob, { onProgress } = {}) {
+  if (!canTranscribe(clip)) return null;
+  const media = blob || (await (await fetch(clip.url)).blob());
+  if (media.size > MAX_BYTES)
+    throw new Error(
+      `It's ${formatBytes(media.size)}; only ${formatBytes(
+        MAX_BYTES
+      )} can be transcribed`
+    );
+  const segments = (
+    await engine.transcribe(media, { lang: clip.lang, onProgress })
+  )
+    .map((c) => ({ ...c, text: c.text.trim() }))
+    .filter((c) => c.text);
+  const patch = {
+    captions: toVtt(segments),
+    transcript: segments
+      .map((c) => c.text)
+      .join(" ")
+      .slice(0, 5000),
+  };
+  await backend.update("clips", clip.id, patch);
+  return patch;
+}
@@ -0,0 +1,79 @@
+// On-device Whisper via transformers.js (ONNX Runtime on WASM). The
+// library is a chunk of its own and the model is fetched on first use
+// and cached by the browser, so nothing leaves the device and pages that
+// never transcribe pay nothing.
+const MODEL = "Xenova/whisper-tiny";
+const SAMPLE_RATE = 16000; // what Whisper expects
+
+// Mono Float32Array at 16 kHz (works for video files too: only the
+// sound track is decoded)
+async function decodeMono(blob) {
+  const Ctx = window.AudioContext || window.webkitAudioContext;
+  const ctx = new Ctx({ sampleRate: SAMPLE_RATE });
+  try {
+    const buffer = await ctx.decodeAudioData(await blob.arrayBuffer());
+    if (buffer.numberOfChannels === 1) return buffer.getChannelData(0);
+    const a = buffer.getChannelData(0);
+    const b = buffer.getChannelData(1);
+    return a.map((v, i) => (v + b[i]) / 2);
+  } finally {
+    ctx.close();
+  }
+}
+
+export function createWhisperEngine({ model = MODEL } = {}) {
+  let loading = null;
+
+  const load = (onProgress) => {
+    loading ||= Promise.all([
+      import("@xenova/transformers"),
+      import("onnxruntime-web/dist/ort-wasm-simd.wasm?url"),
+      import("onnxruntime-web/dist/ort-wasm.wasm?url"),
+    ]).then(([{ pipeline, env }, simd, plain]) => {
+      env.allowLocalModels = false;
+      // ONNX Runtime from our own build rather than transformers.js' CDN
+      // default; the threaded builds need cross-origin isolation
+      env.backends.onnx.wasm.wasmPaths = {
+        "ort-wasm-simd.wasm": simd.default,
+        "ort-wasm.wasm": plain.default,
+      };
+      env.backends.onnx.wasm.numThreads = 1;
+      return pipeline("automatic-speech-recognition", model, {
+        // model download is the first half of the progress bar
+        progress_callback: (p) =>
+          p.status === "progress" && onProgress?.(p.progress / 200),
+      });
+    });
+    loading.catch(() => {
+      loading = null;
+    });
+    return loading;
+  };
+
+  return {
+    name: "whisper",
+
+    async transcribe(blob, { lang, onProgress } = {}) {
+      const [asr, audio] = await Promise.all([
+        load(onProgress),
+        decodeMono(blob),
+      ]);
+      onProgress?.(0.5);
+      const out = await asr(audio, {
+        chunk_length_s: 30,
+        stride_length_s: 5,
+        return_timestamps: true,
+        // Whisper takes "pt", not "pt-BR"
+        ...(lang && { language: lang.split("-")[0] }),
+        task: "transcribe",
+      });
+      onProgress?.(1);
+      const duration = audio.length / SAMPLE_RATE;
+      return (out.chunks || []).map((c) => ({
+        start: c.timestamp[0] ?? 0,
+        end: c.timestamp[1] ?? duration,
+        text: c.text,
+      }));
+    },
+  };
+}
@@ -0,0 +1,137 @@
+// Cuts the kept part out of a recording before it's uploaded.
+//
+// Audio is decoded and written back out as 16-bit mono WAV: exact to the
+// sample and playable everywhere, though about ten times the size of the
+// recorder's Opus/AAC, so long takes can end up over the upload limit. Video has no in-browser muxer, so the
+// kept part is played into a fresh MediaRecorder in real time; trimming
+// takes as long as what's kept.
+
+import { MEDIA_RULES, formatBytes } from "./uploads";
+
+// Ignore handles left within this many seconds of either end
+const SLACK = 0.05;
+
+export const isTrimmed = ({ start, end }, duration) =>
+  start > SLACK || end < duration - SLACK;
+
+const wavBytes = (frames) => 44 + frames * 2;
+
+// Channels are mixed down: stories are voices, and stereo doubles the size
+function encodeWav(buffer, from, to) {
+  const channels = 1;
+  const frames = Math.max(0, to - from);
+  const bytes = wavBytes(frames);
+  const view = new DataView(new ArrayBuffer(bytes));
+  const text = (at, s) =>
+    [...s].forEach((c, i) => view.setUint8(at + i, c.charCodeAt(0)));
+
+  text(0, "RIFF");
+  view.setUint32(4, bytes - 8, true);
+  text(8, "WAVE");
+  text(12, "fmt ");
+  view.setUint32(16, 16, true); // PCM header size
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, channels, true);
+  view.setUint32(24, buffer.sampleRate, true);
+  view.setUint32(28, buffer.sampleRate * channels * 2, true);
+  view.setUint16(32, channels * 2, true);
+  view.setUint16(34, 16, true);
+  text(36, "data");
+  view.setUint32(40, frames * channels * 2, true);
+
+  const data = Array.from({ length: buffer.numberOfChannels }, (_, c) =>
+    buffer.getChannelData(c)
+  );
+  let at = 44;
+  for (let i = from; i < to; i++) {
+    const mix = data.reduce((sum, d) => sum + d[i], 0) / data.length;
+    const s = Math.max(-1, Math.min(1, mix));
+    view.setInt16(at, s < 0 ? s * 0x8000 : s * 0x7fff, true);
+    at += 2;
+  }
+  return new Blob([view], { type: "audio/wav" });
+}
+
+export async function trimAudio(blob, start, end) {
+  const Ctx = window.AudioContext || window.webkitAudioContext;
+  const ctx = new Ctx();
+  try {
+    const buffer = await ctx.decodeAudioData(await blob.arrayBuffer());
+    const from = Math.max(0, Math.floor(start * buffer.sampleRate));
+    const to = Math.min(buffer.length, Math.ceil(end * buffer.sampleRate));
+    const { maxBytes } = MEDIA_RULES.audio;
+    if (wavBytes(to - from) > maxBytes)
+      throw new Error(
+        `The trimmed take would be over the ${formatBytes(maxBytes)} limit`
+      );
+    return encodeWav(buffer, from, to);
+  } finally {
+    ctx.close();
+  }
+}
+
+// `onProgress(0..1)` follows playback of the kept part
+export function trimVideo(blob, start, end, { onProgress } = {}) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(blob);
+    const video = document.createElement("video");
+    const capture = video.captureStream || video.mozCaptureStream;
+    if (!capture || !window.MediaRecorder) {
+      URL.revokeObjectURL(url);
+      return reject(new Error("This browser can't trim videos"));
+    }
+    video.muted = true; // captured tracks still carry the sound
+    video.playsInline = true;
+    video.src = url;
+
+    let recorder = null;
+    const chunks = [];
+    const done = (err) => {
+      video.pause();
+      URL.revokeObjectURL(url);
+      if (err) reject(err);
+    };
+
+    video.addEventListener("error", () =>
+      done(new Error("Couldn't read the recording"))
+    );
+    video.addEventListener(
+      "loadedmetadata",
+      () => {
+        video.currentTime = start;
+      },
+      { once: true }
+    );
+    video.addEventListener(
+      "seeked",
+      () => {
+        const stream = capture.call(video);
+        try {
+          recorder = new MediaRecorder(stream, { mimeType: blob.type });
+        } catch {
+          recorder = new MediaRecorder(stream);
+        }
+        recorder.ondataavailable = (e) => {
+          if (e.data && e.data.size > 0) chunks.push(e.data);
+        };
+        recorder.onstop = () => {
+          done();
+          resolve(new Blob(chunks, { type: recorder.mimeType || blob.type }));
+        };
+        recorder.start(250);
+        video.play().catch(done);
+      },
+      { once: true }
+    );
+    const finish = () => {
+      if (recorder?.state === "recording") recorder.stop();
+    };
+    video.addEventListener("timeupdate", () => {
+      onProgress?.(
+        Math.min(1, (video.currentTime - start) / Math.max(0.1, end - start))
+      );
+      if (video.currentTime >= end) finish();
+    });
+    video.addEventListener("ended", finish);
+  });
+}
@@ -0,0 +1,185 @@
+import { useCallback, useRef, useState } from "react";
+import { backend } from "./backend";
+
+const MB = 1024 * 1024;
+
+// What each kind of media may look like before we spend bandwidth on it.
+// Recorder blobs have no name, so extensions are only checked for files.
+export const MEDIA_RULES = {
+  video: {
+    label: "Video",
+    mimes: ["video/mp4", "video/webm", "video/quicktime"],
+    exts: ["mp4", "m4v", "webm", "mov"],
+    maxBytes: 250 * MB,
+  },
+  audio: {
+    label: "Audio",
+    mimes: [
+      "audio/webm",
+      "audio/mp4",
+      "audio/x-m4a",
+      "audio/aac",
+      "audio/mpeg",
+      "audio/ogg",
+      "audio/wav",
+      "audio/x-wav",
+    ],
+    exts: ["webm", "m4a", "mp4", "aac", "mp3", "ogg", "oga", "wav"],
+    maxBytes: 50 * MB,
+  },
+  glb: {
+    label: "GLB model",
+    // browsers rarely know .glb, so an empty/octet-stream type is fine
+    mimes: ["model/gltf-binary", "application/octet-stream", ""],
+    exts: ["glb"],
+    maxBytes: 100 * MB,
+  },
+  image: {
+    label: "Image",
+    mimes: ["image/jpeg", "image/png", "image/webp"],
+    exts: ["jpg", "jpeg", "png", "webp"],
+    maxBytes: 10 * MB,
+  },
+  pattern: {
+    label: "AR.js marker pattern",
+    // plain text, which browsers report inconsistently
+    mimes: ["text/plain", "application/octet-stream", ""],
+    exts: ["patt"],
+    maxBytes: 64 * 1024,
+  },
+};
+
+export const formatBytes = (n) =>
+  n >= MB ? `${(n / MB).toFixed(1)} MB` : `${Math.ceil(n / 1024)} KB`;
+
+// "glTF" little-endian magic followed by container version 2
+const isGlb = async (blob) => {
+  const head = new DataView(await blob.slice(0, 12).arrayBuffer());
+  return (
+    head.byteLength === 12 &&
+    head.getUint32(0, true) === 0x46546c67 &&
+    head.getUint32(4, true) === 2
+  );
+};
+
+// Returns a list of human-readable problems; empty means OK to upload
+export async function validateMedia(file, kind) {
+  const rule = MEDIA_RULES[kind];
+  if (!rule) return [`Unknown media kind "${kind}"`];
+  if (!file) return [`No ${rule.label.toLowerCase()} selected`];
+  const problems = [];
+  const mime = (file.type || "").split(";")[0].trim().toLowerCase();
+  if (!rule.mimes.includes(mime))
+    problems.push(`${rule.label}: unsupported type "${mime || "unknown"}"`);
+  if (file.name) {
+    const ext = file.name.split(".").pop().toLowerCase();
+    if (!rule.exts.includes(ext))
+      problems.push(
+        `${rule.label}: ".${ext}" files aren't supported (${rule.exts.join(
+          ", "
+        )})`
+      );
+  }
+  if (!file.size) problems.push(`${rule.label}: file is empty`);
+  if (file.size > rule.maxBytes)
+    problems.push(
+      `${rule.label}: ${formatBytes(file.size)} is over the ${formatBytes(
+        rule.maxBytes
+      )} limit`
+    );
+  if (kind === "glb" && file.size && !(await isGlb(file)))
+    problems.push(`${rule.label}: not a binary glTF 2.0 file`);
+  return problems;
+}
+
+// Validates several [file, kind] pairs and throws one combined error
+export async function assertMedia(pairs) {
+  const all = (
+    await Promise.all(pairs.map(([f, k]) => validateMedia(f, k)))
+  ).flat();
+  if (all.length) throw new Error(all.join("\n"));
+}
+
+// Runs an upload job with shared progress, cancel and retry.
+//
+//   const upload = useUploadTask();
+//   upload.run(async (put) => {
+//     const url = await put(path, file);   // resumable, reports progress
+//     await backend.add("clips", { url });
+//   }, { totalBytes: file.size });
+//
+// `run` resolves to the job's result, or undefined if it failed or was
+// cancelled (see `status`/`error`). `retry` replays the last job.
+// `onFail(error)` may stash the work elsewhere (the offline outbox); when
+// it resolves truthy the task ends as "queued" instead of "error".
+export function useUploadTask() {
+  // idle | uploading | done | error | cancelled | queued
+  const [status, setStatus] = useState("idle");
+  const [progress, setProgress] = useState(0); // 0..1 across the whole job
+  const [error, setError] = useState(null);
+  const lastRef = useRef(null);
+  const ctrlRef = useRef(null);
+
+  const run = useCallback(async (job, { totalBytes = 0, onFail } = {}) => {
+    lastRef.current = { job, totalBytes, onFail };
+    const ctrl = new AbortController();
+    ctrlRef.current = ctrl;
+    setStatus("uploading");
+    setProgress(0);
+    setError(null);
+
+    const sent = new Map();
+    let known = 0;
+    const report = () => {
+      const done = Array.from(sent.values()).reduce((a, b) => a + b, 0);
+      setProgress(Math.min(1, done / Math.max(1, totalBytes, known)));
+    };
+    const put = (path, blob) => {
+      const key = sent.size;
+      sent.set(key, 0);
+      known += blob.size;
+      return backend.uploadMedia(path, blob, {
+        signal: ctrl.signal,
+        onProgress: (bytes) => {
+          sent.set(key, bytes);
+          report();
+        },
+      });
+    };
+
+    try {
+      const result = await job(put);
+      if (ctrl.signal.aborted)
+        throw new DOMException("Cancelled", "AbortError");
+      setProgress(1);
+      setStatus("done");
+      return result;
+    } catch (e) {
+      if (ctrl.signal.aborted || e?.name === "AbortError") {
+        setStatus("cancelled");
+      } else if (onFail && (await onFail(e).catch(() => false))) {
+        setStatus("queued");
+      } else {
+        setError(e);
+        setStatus("error");
+      }
+    } finally {
+      if (ctrlRef.current === ctrl) ctrlRef.current = null;
+    }
+  }, []);
+
+  const cancel = useCallback(() => ctrlRef.current?.abort(), []);
+
+  const retry = useCallback(() => {
+    const last = lastRef.current;
+    return last ? run(last.job, last) : undefined;
+  }, [run]);
+
+  const reset = useCallback(() => {
+    setStatus("idle");
+    setProgress(0);
+    setError(null);
+  }, []);
+
+  return { status, progress, error, run, cancel, retry, reset };
+}
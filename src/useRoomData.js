@@ -0,0 +1,110 @@
+import { useEffect, useState } from "react";
+import { backend } from "./backend";
+import { STATUS } from "./moderation";
+
+// Live, newest-first view of the docs in a top-level collection matching
+// equality `filters` (null: nothing to load yet), at most `limit` of them
+// if given. Resubscribes when either changes and unsubscribes on unmount.
+function useCollection(name, filters, limit = null) {
+  const key = filters ? JSON.stringify({ filters, limit }) : null;
+  const [state, setState] = useState({
+    key: null,
+    items: [],
+    loading: false,
+    error: null,
+  });
+
+  useEffect(() => {
+    if (!key) {
+      setState({ key, items: [], loading: false, error: null });
+      return;
+    }
+    setState({ key, items: [], loading: true, error: null });
+    const { filters, limit } = JSON.parse(key);
+    return backend.subscribe(
+      name,
+      filters,
+      (items) => setState({ key, items, loading: false, error: null }),
+      (error) => setState((s) => ({ ...s, loading: false, error })),
+      { limit }
+    );
+  }, [name, key]);
+
+  // Until the effect catches up with new filters, don't hand out old items
+  if (state.key !== key) return { items: [], loading: !!key, error: null };
+  const { items, loading, error } = state;
+  return { items, loading, error };
+}
+
+// Public views only ever see approved stories (see moderation.js)
+const useRoomCollection = (name, roomId) =>
+  useCollection(name, roomId ? { roomId, status: STATUS.APPROVED } : null);
+
+// { items, loading, error } for the room's `clips`
+export const useRoomClips = (roomId) => useRoomCollection("clips", roomId);
+
+// { items, loading, error } for the newest `limit` approved clips of the
+// room, only of `type` if given (the gallery's pages)
+export const useRoomClipsUpTo = (roomId, { type, limit }) =>
+  useCollection(
+    "clips",
+    roomId
+      ? { roomId, status: STATUS.APPROVED, ...(type ? { type } : {}) }
+      : null,
+    limit
+  );
+
+// { items, loading, error } for the room's `experiences`
+export const useRoomExperiences = (roomId) =>
+  useRoomCollection("experiences", roomId);
+
+// { items, loading, error } for the room's `tours` (see tours.js)
+export const useRoomTours = (roomId) =>
+  useCollection("tours", roomId ? { roomId } : null);
+
+// { items, loading, error } for everything a contributor added, any room
+export const useUserClips = (uid) =>
+  useCollection("clips", uid ? { uid } : null);
+
+export const useUserExperiences = (uid) =>
+  useCollection("experiences", uid ? { uid } : null);
+
+// { items, loading, error } for the rooms listed in the room picker
+export const usePublicRooms = () =>
+  useCollection("rooms", { visibility: "public" });
+
+// Owner dashboard: every doc in the room whatever its status, and reports
+export const useRoomQueue = (name, roomId) =>
+  useCollection(name, roomId ? { roomId } : null);
+
+export const useRoomReports = (roomId) => useRoomQueue("reports", roomId);
+
+// { room, loading, error } for the `rooms/{roomId}` doc (settings such as
+// the room's marker); `room` is null until the room has been configured.
+export function useRoom(roomId) {
+  const [state, setState] = useState({
+    roomId: null,
+    room: null,
+    loading: false,
+    error: null,
+  });
+
+  useEffect(() => {
+    if (!roomId) {
+      setState({ roomId, room: null, loading: false, error: null });
+      return;
+    }
+    setState({ roomId, room: null, loading: true, error: null });
+    return backend.watch(
+      "rooms",
+      roomId,
+      (room) => setState({ roomId, room, loading: false, error: null }),
+      (error) => setState((s) => ({ ...s, loading: false, error }))
+    );
+  }, [roomId]);
+
+  if (state.roomId !== roomId)
+    return { room: null, loading: !!roomId, error: null };
+  const { room, loading, error } = state;
+  return { room, loading, error };
+}
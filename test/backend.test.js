@@ -0,0 +1,4 @@
+import { createLocalBackend } from "../src/backend/local";
+import { backendContract } from "./backendContract";
+
+backendContract("memory", () => createLocalBackend({ persist: false }));
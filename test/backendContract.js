@@ -0,0 +1,173 @@
+import { describe, expect, it } from "vitest";
+
+// What every adapter in src/backend must do (see src/backend/index.js).
+// `make()` returns a fresh, empty backend for each test.
+
+// Resolves with the first snapshot `pick` accepts, then unsubscribes
+const nextSnapshot = (listen, pick = () => true) =>
+  new Promise((resolve, reject) => {
+    const stop = listen((value) => {
+      if (!pick(value)) return;
+      resolve(value);
+      setTimeout(() => stop());
+    }, reject);
+  });
+
+export function backendContract(name, make) {
+  describe(`${name} backend`, () => {
+    it("adds docs with an id and createdAt", async () => {
+      const backend = make();
+      const { id } = await backend.add("clips", { roomId: "r", type: "text" });
+      expect(id).toBeTruthy();
+      const doc = await backend.get("clips", id);
+      expect(doc).toMatchObject({ id, roomId: "r", type: "text" });
+      expect(typeof doc.createdAt.seconds).toBe("number");
+    });
+
+    it("returns null for missing docs", async () => {
+      expect(await make().get("clips", "nope")).toBe(null);
+    });
+
+    it("creates docs with a chosen id, once", async () => {
+      const backend = make();
+      await backend.create("rooms", "hall", { title: "Hall" });
+      expect(await backend.get("rooms", "hall")).toMatchObject({
+        id: "hall",
+        title: "Hall",
+      });
+      await expect(
+        backend.create("rooms", "hall", { title: "Again" })
+      ).rejects.toThrow();
+      expect((await backend.get("rooms", "hall")).title).toBe("Hall");
+    });
+
+    it("merges with set, creating the doc if needed", async () => {
+      const backend = make();
+      await backend.set("rooms", "hall", { title: "Hall" });
+      await backend.set("rooms", "hall", { visibility: "public" });
+      expect(await backend.get("rooms", "hall")).toMatchObject({
+        title: "Hall",
+        visibility: "public",
+      });
+    });
+
+    it("patches existing docs with update, and only those", async () => {
+      const backend = make();
+      const { id } = await backend.add("clips", { roomId: "r", text: "a" });
+      await backend.update("clips", id, { text: "b" });
+      expect(await backend.get("clips", id)).toMatchObject({
+        roomId: "r",
+        text: "b",
+      });
+      await expect(
+        backend.update("clips", "missing", { text: "c" })
+      ).rejects.toThrow();
+    });
+
+    it("removes docs", async () => {
+      const backend = make();
+      const { id } = await backend.add("clips", { roomId: "r" });
+      await backend.remove("clips", id);
+      expect(await backend.get("clips", id)).toBe(null);
+    });
+
+    it("subscribes with equality filters, newest first", async () => {
+      const backend = make();
+      const first = await backend.add("clips", { roomId: "r", status: "ok" });
+      await new Promise((r) => setTimeout(r, 5));
+      const second = await backend.add("clips", { roomId: "r", status: "ok" });
+      await backend.add("clips", { roomId: "r", status: "pending" });
+      await backend.add("clips", { roomId: "other", status: "ok" });
+
+      const items = await nextSnapshot((next, err) =>
+        backend.subscribe("clips", { roomId: "r", status: "ok" }, next, err)
+      );
+      expect(items.map((d) => d.id)).toEqual([second.id, first.id]);
+    });
+
+    it("subscribes to the newest docs only, given a limit", async () => {
+      const backend = make();
+      await backend.add("clips", { roomId: "r" });
+      await new Promise((r) => setTimeout(r, 5));
+      const newest = await backend.add("clips", { roomId: "r" });
+
+      const items = await nextSnapshot((next, err) =>
+        backend.subscribe("clips", { roomId: "r" }, next, err, { limit: 1 })
+      );
+      expect(items.map((d) => d.id)).toEqual([newest.id]);
+    });
+
+    it("pushes later writes to subscribers", async () => {
+      const backend = make();
+      const seen = nextSnapshot(
+        (next, err) => backend.subscribe("clips", { roomId: "r" }, next, err),
+        (items) => items.length === 1
+      );
+      await backend.add("clips", { roomId: "r" });
+      expect((await seen)[0].roomId).toBe("r");
+    });
+
+    it("stops calling back after unsubscribing", async () => {
+      const backend = make();
+      const calls = [];
+      const stop = backend.subscribe("clips", {}, (items) => calls.push(items));
+      await new Promise((r) => setTimeout(r, 10));
+      stop();
+      const before = calls.length;
+      await backend.add("clips", { roomId: "r" });
+      await new Promise((r) => setTimeout(r, 10));
+      expect(calls.length).toBe(before);
+    });
+
+    it("watches a single doc through create and removal", async () => {
+      const backend = make();
+      const watch = (pick) =>
+        nextSnapshot(
+          (next, err) => backend.watch("rooms", "hall", next, err),
+          pick
+        );
+      expect(await watch(() => true)).toBe(null);
+
+      const created = watch((d) => d?.title === "Hall");
+      await backend.create("rooms", "hall", { title: "Hall" });
+      expect((await created).id).toBe("hall");
+
+      const gone = watch((d) => d === null);
+      await backend.remove("rooms", "hall");
+      expect(await gone).toBe(null);
+    });
+
+    it("uploads media with progress and hands back a usable URL", async () => {
+      const backend = make();
+      const blob = new Blob(["hello"], { type: "text/plain" });
+      const progress = [];
+      const url = await backend.uploadMedia("rooms/r/audio/a.txt", blob, {
+        onProgress: (sent, total) => progress.push([sent, total]),
+      });
+      expect(typeof url).toBe("string");
+      expect(progress.at(-1)).toEqual([blob.size, blob.size]);
+
+      // Docs that reference the upload read back a fetchable URL
+      const { id } = await backend.add("clips", { roomId: "r", url });
+      const doc = await backend.get("clips", id);
+      expect(typeof doc.url).toBe("string");
+      await backend.removeMedia(doc.url);
+    });
+
+    it("refuses uploads that were already cancelled", async () => {
+      const ctrl = new AbortController();
+      ctrl.abort();
+      await expect(
+        make().uploadMedia("rooms/r/audio/a.txt", new Blob(["x"]), {
+          signal: ctrl.signal,
+        })
+      ).rejects.toMatchObject({ name: "AbortError" });
+    });
+
+    it("ignores removing media that isn't there", async () => {
+      await expect(
+        make().removeMedia("local-media://rooms/r/audio/none.webm")
+      ).resolves.toBeUndefined();
+    });
+  });
+}
@@ -0,0 +1,105 @@
+import { afterAll, beforeEach, describe, expect, it } from "vitest";
+import { backend } from "../../src/backend";
+import { createRoom } from "../../src/rooms";
+import { clearAccounts, clearFirestore, signInLinkFor } from "./emulators";
+
+// The Firebase adapter against the Auth and Firestore emulators: email
+// links, upgrading anonymous accounts, and stories staying with their uid
+
+const RETURN_URL = "http://localhost:5173/";
+
+async function signInWithEmail(email) {
+  await backend.sendSignInLink(email, RETURN_URL);
+  return backend.completeSignInLink(await signInLinkFor(email), email);
+}
+
+const textClip = (uid) => ({
+  roomId: "hall",
+  uid,
+  status: "approved",
+  type: "text",
+  text: "Hello from the hall",
+});
+
+beforeEach(async () => {
+  await backend.signOut();
+  await clearAccounts();
+  await clearFirestore();
+});
+
+afterAll(() => backend.signOut());
+
+describe("email sign-in links", () => {
+  it("upgrade the anonymous account in place", async () => {
+    const anon = await backend.signInAnonymously();
+    expect(anon.isAnonymous).toBe(true);
+
+    const user = await signInWithEmail("ada@example.com");
+    expect(user).toEqual({
+      uid: anon.uid,
+      email: "ada@example.com",
+      isAnonymous: false,
+    });
+  });
+
+  it("sign in to the existing account when the email is taken", async () => {
+    const first = await signInWithEmail("ada@example.com");
+    await backend.signOut();
+
+    const anon = await backend.signInAnonymously();
+    const again = await signInWithEmail("ada@example.com");
+    expect(again.uid).toBe(first.uid);
+    expect(again.uid).not.toBe(anon.uid);
+  });
+
+  it("leave other links alone", async () => {
+    expect(
+      await backend.completeSignInLink(`${RETURN_URL}?room=hall`, "a@b.c")
+    ).toBe(null);
+  });
+});
+
+describe("stories belong to their uid", () => {
+  it("only their author can edit or delete them", async () => {
+    const owner = await backend.signInAnonymously();
+    await createRoom("hall", { title: "Hall" }, { uid: owner.uid });
+    await backend.signOut();
+
+    // recorded anonymously, then the contributor signs in with email
+    const author = await backend.signInAnonymously();
+    const { id } = await backend.add("clips", textClip(author.uid));
+    await signInWithEmail("ada@example.com");
+
+    const mine = await new Promise((resolve, reject) => {
+      const stop = backend.subscribe(
+        "clips",
+        { uid: author.uid },
+        (items) => {
+          resolve(items);
+          setTimeout(() => stop());
+        },
+        reject
+      );
+    });
+    expect(mine.map((c) => c.id)).toEqual([id]);
+    await backend.signOut();
+
+    await backend.signInAnonymously();
+    await expect(
+      backend.update("clips", id, { text: "Not mine" })
+    ).rejects.toMatchObject({ code: "permission-denied" });
+    await expect(backend.remove("clips", id)).rejects.toMatchObject({
+      code: "permission-denied",
+    });
+    await expect(
+      backend.add("clips", textClip(author.uid))
+    ).rejects.toMatchObject({ code: "permission-denied" });
+    await backend.signOut();
+
+    await signInWithEmail("ada@example.com");
+    await backend.update("clips", id, { text: "Edited" });
+    expect((await backend.get("clips", id)).text).toBe("Edited");
+    await backend.remove("clips", id);
+    expect(await backend.get("clips", id)).toBe(null);
+  });
+});
@@ -0,0 +1,39 @@
+// Shared by the emulator specs: the app's project (see firebaseConfig.js)
+// and the emulators' REST endpoints for resetting state between tests.
+export const PROJECT_ID = "demo-unwritten";
+
+const host = (name, fallback) => process.env[name] || fallback;
+
+const authUrl = () =>
+  `http://${host(
+    "FIREBASE_AUTH_EMULATOR_HOST",
+    "localhost:9099"
+  )}/emulator/v1/projects/${PROJECT_ID}`;
+
+const firestoreUrl = () =>
+  `http://${host(
+    "FIRESTORE_EMULATOR_HOST",
+    "localhost:8080"
+  )}/emulator/v1/projects/${PROJECT_ID}/databases/(default)/documents`;
+
+async function call(url, init) {
+  const res = await fetch(url, init);
+  if (!res.ok)
+    throw new Error(`${init?.method || "GET"} ${url}: ${res.status}`);
+  return res.json().catch(() => null);
+}
+
+export const clearAccounts = () =>
+  call(`${authUrl()}/accounts`, { method: "DELETE" });
+
+export const clearFirestore = () => call(firestoreUrl(), { method: "DELETE" });
+
+// The newest email sign-in link the Auth emulator "sent" to `email`
+export async function signInLinkFor(email) {
+  const { oobCodes = [] } = await call(`${authUrl()}/oobCodes`);
+  const code = oobCodes
+    .filter((c) => c.email === email && c.requestType === "EMAIL_SIGNIN")
+    .pop();
+  if (!code) throw new Error(`No sign-in link for ${email}`);
+  return code.oobLink;
+}
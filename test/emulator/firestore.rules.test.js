@@ -0,0 +1,281 @@
+import { readFileSync } from "node:fs";
+import {
+  assertFails,
+  assertSucceeds,
+  initializeTestEnvironment,
+} from "@firebase/rules-unit-testing";
+import {
+  collection,
+  deleteDoc,
+  doc,
+  getDoc,
+  getDocs,
+  serverTimestamp,
+  setDoc,
+  updateDoc,
+} from "firebase/firestore";
+import { afterAll, beforeAll, beforeEach, describe, it } from "vitest";
+import { PROJECT_ID } from "./emulators";
+
+// firestore.rules: who may moderate, which status new stories start with,
+// and joining private rooms with an access code
+
+let env;
+
+beforeAll(async () => {
+  env = await initializeTestEnvironment({
+    projectId: PROJECT_ID,
+    firestore: { rules: readFileSync("firestore.rules", "utf8") },
+  });
+});
+
+afterAll(() => env.cleanup());
+
+const ROOMS = {
+  open: { moderation: "open", visibility: "public" },
+  review: { moderation: "approval", visibility: "public" },
+  private: { moderation: "open", visibility: "private" },
+};
+
+const story = (roomId, extra) => ({
+  roomId,
+  uid: "author",
+  status: "approved",
+  type: "text",
+  text: "Hello",
+  createdAt: new Date(),
+  ...extra,
+});
+
+beforeEach(async () => {
+  await env.clearFirestore();
+  await env.withSecurityRulesDisabled(async (ctx) => {
+    const db = ctx.firestore();
+    for (const [id, room] of Object.entries(ROOMS))
+      await setDoc(doc(db, "rooms", id), { ...room, ownerUid: "owner" });
+    await setDoc(doc(db, "rooms", "legacy"), { title: "Before owners" });
+    await setDoc(doc(db, "roomSecrets", "private"), {
+      accessCode: "tulip-bed",
+      codeVersion: "v1",
+    });
+    await setDoc(doc(db, "rooms/private/keys", "tulip-bed"), {
+      codeVersion: "v1",
+    });
+    await setDoc(doc(db, "clips", "live"), story("open"));
+    await setDoc(
+      doc(db, "clips", "waiting"),
+      story("review", { status: "pending" })
+    );
+    await setDoc(doc(db, "clips", "secret"), story("private"));
+  });
+});
+
+const as = (uid) => env.authenticatedContext(uid).firestore();
+
+describe("moderation fields", () => {
+  it("only the room's owner can approve, hide or feature", async () => {
+    for (const uid of ["author", "visitor"]) {
+      const db = as(uid);
+      await assertFails(
+        updateDoc(doc(db, "clips", "waiting"), { status: "approved" })
+      );
+      await assertFails(
+        updateDoc(doc(db, "clips", "live"), { featured: true })
+      );
+      await assertFails(
+        updateDoc(doc(db, "clips", "live"), { status: "hidden" })
+      );
+    }
+    const owner = as("owner");
+    await assertSucceeds(
+      updateDoc(doc(owner, "clips", "waiting"), { status: "approved" })
+    );
+    await assertSucceeds(
+      updateDoc(doc(owner, "clips", "live"), {
+        status: "hidden",
+        featured: false,
+      })
+    );
+  });
+
+  it("owners can't rewrite the story or use unknown statuses", async () => {
+    const owner = as("owner");
+    await assertFails(updateDoc(doc(owner, "clips", "live"), { text: "Mine" }));
+    await assertFails(
+      updateDoc(doc(owner, "clips", "live"), { status: "published" })
+    );
+    await assertFails(
+      updateDoc(doc(owner, "clips", "live"), { featured: "yes" })
+    );
+  });
+
+  it("authors may only send their edits back to review", async () => {
+    const author = as("author");
+    await assertSucceeds(
+      updateDoc(doc(author, "clips", "live"), {
+        text: "Edited",
+        status: "pending",
+      })
+    );
+    await assertFails(
+      updateDoc(doc(author, "clips", "waiting"), { status: "approved" })
+    );
+  });
+
+  it("pending stories are only visible to their author and the owner", async () => {
+    await assertFails(getDoc(doc(as("visitor"), "clips", "waiting")));
+    await assertSucceeds(getDoc(doc(as("author"), "clips", "waiting")));
+    await assertSucceeds(getDoc(doc(as("owner"), "clips", "waiting")));
+    await assertSucceeds(
+      getDoc(doc(env.unauthenticatedContext().firestore(), "clips", "live"))
+    );
+  });
+});
+
+describe("new stories", () => {
+  const add = (uid, roomId, status, extra) =>
+    setDoc(doc(collection(as(uid), "clips")), {
+      ...story(roomId, { uid, status, ...extra }),
+      createdAt: serverTimestamp(),
+    });
+
+  it("start approved in open rooms", async () => {
+    await assertSucceeds(add("visitor", "open", "approved"));
+    await assertFails(add("visitor", "open", "pending"));
+  });
+
+  it("start pending in approval rooms", async () => {
+    await assertSucceeds(add("visitor", "review", "pending"));
+    await assertFails(add("visitor", "review", "approved"));
+  });
+
+  it("carry their author's uid and a server timestamp", async () => {
+    await assertFails(add("visitor", "open", "approved", { uid: "author" }));
+    await assertFails(
+      setDoc(doc(collection(as("visitor"), "clips")), {
+        ...story("open", { uid: "visitor" }),
+        createdAt: new Date(0),
+      })
+    );
+    await assertFails(
+      setDoc(
+        doc(collection(env.unauthenticatedContext().firestore(), "clips")),
+        {
+          ...story("open"),
+          createdAt: serverTimestamp(),
+        }
+      )
+    );
+  });
+
+  it("can't set moderation fields or land in unknown rooms", async () => {
+    await assertFails(add("visitor", "open", "approved", { featured: true }));
+    await assertFails(add("visitor", "nowhere", "approved"));
+  });
+});
+
+describe("private rooms", () => {
+  const join = (uid, data) =>
+    setDoc(doc(as(uid), "roomMembers", `private_${uid}`), {
+      roomId: "private",
+      uid,
+      ...data,
+    });
+
+  it("hand the key only to those who know the code", async () => {
+    const db = as("visitor");
+    await assertSucceeds(getDoc(doc(db, "rooms/private/keys", "tulip-bed")));
+    await assertFails(getDocs(collection(db, "rooms/private/keys")));
+    await assertFails(getDoc(doc(db, "roomSecrets", "private")));
+    await assertSucceeds(getDoc(doc(as("owner"), "roomSecrets", "private")));
+  });
+
+  it("let visitors join with the current code version only", async () => {
+    await assertFails(join("visitor", { codeVersion: "v0" }));
+    await assertFails(join("visitor", {}));
+    await assertFails(
+      join("visitor", { codeVersion: "v1", accessCode: "tulip-bed" })
+    );
+    await assertFails(
+      setDoc(doc(as("visitor"), "roomMembers", "private_other"), {
+        roomId: "private",
+        uid: "other",
+        codeVersion: "v1",
+      })
+    );
+    await assertSucceeds(join("visitor", { codeVersion: "v1" }));
+  });
+
+  it("show stories to members until the code changes", async () => {
+    const db = as("visitor");
+    await assertFails(getDoc(doc(db, "clips", "secret")));
+    await join("visitor", { codeVersion: "v1" });
+    await assertSucceeds(getDoc(doc(db, "clips", "secret")));
+
+    await env.withSecurityRulesDisabled((ctx) =>
+      setDoc(doc(ctx.firestore(), "roomSecrets", "private"), {
+        accessCode: "rose-bed",
+        codeVersion: "v2",
+      })
+    );
+    await assertFails(getDoc(doc(db, "clips", "secret")));
+  });
+
+  it("keep the key and the code to the owner, and codes long", async () => {
+    const db = as("visitor");
+    await assertFails(
+      setDoc(doc(db, "rooms/private/keys", "guess"), { codeVersion: "v9" })
+    );
+    await assertFails(deleteDoc(doc(db, "rooms/private/keys", "tulip-bed")));
+    await assertFails(
+      setDoc(doc(as("owner"), "rooms/private/keys", "rose"), {
+        codeVersion: "v2",
+      })
+    );
+    await assertSucceeds(
+      setDoc(doc(as("owner"), "rooms/private/keys", "rose-bed"), {
+        codeVersion: "v2",
+      })
+    );
+  });
+});
+
+describe("room ownership", () => {
+  it("can't be claimed or handed over from the app", async () => {
+    await assertFails(
+      setDoc(
+        doc(as("visitor"), "rooms", "legacy"),
+        { ownerUid: "visitor" },
+        { merge: true }
+      )
+    );
+    await assertFails(
+      updateDoc(doc(as("owner"), "rooms", "open"), { ownerUid: "visitor" })
+    );
+    await assertFails(
+      updateDoc(doc(as("visitor"), "rooms", "open"), { title: "Mine now" })
+    );
+    await assertSucceeds(
+      updateDoc(doc(as("owner"), "rooms", "open"), { title: "Lobby" })
+    );
+  });
+});
+
+describe("room settings", () => {
+  it("keep recordings between 10 s and 5 min", async () => {
+    const owner = as("owner");
+    for (const maxClipSeconds of [5, 301, 60.5, "60"])
+      await assertFails(
+        updateDoc(doc(owner, "rooms", "open"), { maxClipSeconds })
+      );
+    await assertSucceeds(
+      updateDoc(doc(owner, "rooms", "open"), { maxClipSeconds: 300 })
+    );
+    await assertFails(
+      setDoc(doc(owner, "rooms", "long"), {
+        ownerUid: "owner",
+        maxClipSeconds: 3600,
+      })
+    );
+  });
+});
@@ -0,0 +1,135 @@
+import { readFileSync } from "node:fs";
+import {
+  assertFails,
+  assertSucceeds,
+  initializeTestEnvironment,
+} from "@firebase/rules-unit-testing";
+import { doc, setDoc } from "firebase/firestore";
+import { afterAll, beforeAll, beforeEach, describe, it } from "vitest";
+import { PROJECT_ID } from "./emulators";
+
+// storage.rules: per-folder size and type limits (MEDIA_RULES in
+// src/uploads.js), who may upload where, and the uploader's uid stamp
+
+let env;
+
+beforeAll(async () => {
+  env = await initializeTestEnvironment({
+    projectId: PROJECT_ID,
+    firestore: { rules: readFileSync("firestore.rules", "utf8") },
+    storage: { rules: readFileSync("storage.rules", "utf8") },
+  });
+});
+
+afterAll(() => env.cleanup());
+
+beforeEach(async () => {
+  await env.clearFirestore();
+  await env.clearStorage();
+  // storage.rules reads rooms and memberships from Firestore
+  await env.withSecurityRulesDisabled(async (ctx) => {
+    const db = ctx.firestore();
+    await setDoc(doc(db, "rooms", "open"), {
+      ownerUid: "owner",
+      visibility: "public",
+    });
+    await setDoc(doc(db, "rooms", "private"), {
+      ownerUid: "owner",
+      visibility: "private",
+    });
+    await setDoc(doc(db, "roomSecrets", "private"), { codeVersion: "v1" });
+  });
+});
+
+const KB = 1024;
+const MB = 1024 * KB;
+
+const put = (uid, path, { size = 16, contentType, stamp = uid } = {}) =>
+  env
+    .authenticatedContext(uid)
+    .storage()
+    .ref(path)
+    .put(new Uint8Array(size), {
+      contentType,
+      customMetadata: stamp ? { uid: stamp } : {},
+    });
+
+// [folder, accepted type, refused type, limit]. The 50–250 MB limits are
+// real uploads too heavy for a spec, so only the small ones test size.
+const FOLDERS = [
+  ["videos", "video/mp4", "audio/webm"],
+  ["audio", "audio/webm;codecs=opus", "video/webm"],
+  ["glb", "model/gltf-binary", "image/png"],
+  ["thumbs", "image/jpeg", "image/gif", 10 * MB],
+  ["cover", "image/webp", "text/plain", 10 * MB],
+  ["marker", "text/plain", "image/png", 64 * KB],
+];
+
+describe("media limits", () => {
+  for (const [folder, ok, wrong, limit] of FOLDERS) {
+    const path = `rooms/open/${folder}/file`;
+    // cover and marker are the owner's
+    const uid = ["cover", "marker"].includes(folder) ? "owner" : "visitor";
+
+    it(`${folder}: takes ${ok}, not ${wrong}`, async () => {
+      await assertSucceeds(put(uid, path, { contentType: ok }));
+      await assertFails(put(uid, `${path}-2`, { contentType: wrong }));
+    });
+
+    it(`${folder}: refuses empty files`, async () => {
+      await assertFails(put(uid, path, { contentType: ok, size: 0 }));
+    });
+
+    if (limit)
+      it(`${folder}: stops at ${limit / KB} KB`, async () => {
+        await assertSucceeds(put(uid, path, { contentType: ok, size: limit }));
+        await assertFails(
+          put(uid, `${path}-2`, { contentType: ok, size: limit + 1 })
+        );
+      });
+  }
+});
+
+describe("uploads", () => {
+  it("must be stamped with the uploader's uid", async () => {
+    const path = "rooms/open/audio/a.webm";
+    await assertFails(
+      put("visitor", path, { contentType: "audio/webm", stamp: null })
+    );
+    await assertFails(
+      put("visitor", path, { contentType: "audio/webm", stamp: "owner" })
+    );
+  });
+
+  it("go to rooms the uploader can see", async () => {
+    await assertFails(
+      put("visitor", "rooms/private/audio/a.webm", {
+        contentType: "audio/webm",
+      })
+    );
+    await env.withSecurityRulesDisabled((ctx) =>
+      setDoc(doc(ctx.firestore(), "roomMembers", "private_visitor"), {
+        roomId: "private",
+        uid: "visitor",
+        codeVersion: "v1",
+      })
+    );
+    await assertSucceeds(
+      put("visitor", "rooms/private/audio/a.webm", {
+        contentType: "audio/webm",
+      })
+    );
+  });
+
+  it("of covers and markers are left to the owner", async () => {
+    await assertFails(
+      put("visitor", "rooms/open/cover/c.jpg", { contentType: "image/jpeg" })
+    );
+    // a room being created has no owner yet; its cover goes up first
+    await assertSucceeds(
+      put("visitor", "rooms/new-room/cover/c.jpg", {
+        contentType: "image/jpeg",
+      })
+    );
+  });
+});
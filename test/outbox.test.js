@@ -0,0 +1,107 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+
+// The queue runs on the memory backend; `fail` makes its next writes throw
+const fail = { add: [] };
+vi.mock("../src/backend", async () => {
+  const { createLocalBackend } = await import("../src/backend/local");
+  const backend = createLocalBackend({ persist: false });
+  const add = backend.add;
+  backend.add = (...args) => {
+    const e = fail.add.shift();
+    return e ? Promise.reject(e) : add(...args);
+  };
+  backend.uploadMedia = vi.fn(backend.uploadMedia);
+  backend.removeMedia = vi.fn(backend.removeMedia);
+  return { backend };
+});
+
+vi.stubGlobal("navigator", { onLine: true });
+
+const { backend } = await import("../src/backend");
+const outbox = await import("../src/outbox");
+
+const coded = (code) => Object.assign(new Error(code), { code });
+
+const entry = () => ({
+  collection: "clips",
+  doc: { roomId: "r", type: "audio" },
+  media: [
+    { field: "url", path: "rooms/r/audio/a.webm", blob: new Blob(["a"]) },
+  ],
+});
+
+beforeEach(async () => {
+  fail.add = [];
+  backend.uploadMedia.mockClear();
+  backend.removeMedia.mockClear();
+  await outbox.discardFailed();
+  await outbox.flush();
+});
+
+describe("outbox", () => {
+  it("sends queued entries and forgets them", async () => {
+    await outbox.enqueue(entry());
+    await outbox.flush();
+    expect(backend.uploadMedia).toHaveBeenCalledTimes(1);
+    expect(await outbox.pendingUploads()).toMatchObject({
+      count: 0,
+      failed: 0,
+    });
+  });
+
+  it("doesn't upload media again after the doc write failed", async () => {
+    await outbox.enqueue(entry());
+    fail.add.push(coded("unavailable"));
+    await outbox.flush();
+    expect(await outbox.pendingUploads()).toMatchObject({
+      count: 1,
+      failed: 0,
+    });
+
+    await outbox.flush();
+    expect(backend.uploadMedia).toHaveBeenCalledTimes(1);
+    expect(await outbox.pendingUploads()).toMatchObject({ count: 0 });
+  });
+
+  it("gives up at once when the rules refuse the story", async () => {
+    await outbox.enqueue(entry());
+    fail.add.push(coded("permission-denied"));
+    await outbox.flush();
+    expect(await outbox.pendingUploads()).toMatchObject({
+      count: 0,
+      failed: 1,
+      failedError: "permission-denied",
+    });
+
+    // failed entries aren't retried
+    await outbox.flush();
+    expect(backend.uploadMedia).toHaveBeenCalledTimes(1);
+  });
+
+  it("gives up after repeated failures, but not lost connections", async () => {
+    await outbox.enqueue(entry());
+    for (let i = 0; i < 8; i++) {
+      fail.add.push(coded(i < 3 ? "unavailable" : "internal"));
+      await outbox.flush();
+    }
+    expect(await outbox.pendingUploads()).toMatchObject({
+      count: 0,
+      failed: 1,
+    });
+    expect(fail.add).toHaveLength(0);
+  });
+
+  it("discards failed entries and their uploaded media", async () => {
+    await outbox.enqueue(entry());
+    fail.add.push(coded("invalid-argument"));
+    await outbox.flush();
+    await outbox.discardFailed();
+    expect(backend.removeMedia).toHaveBeenCalledWith(
+      "local-media://rooms/r/audio/a.webm"
+    );
+    expect(await outbox.pendingUploads()).toMatchObject({
+      count: 0,
+      failed: 0,
+    });
+  });
+});
@@ -0,0 +1,147 @@
+import { beforeAll, describe, expect, it, vi } from "vitest";
+
+// placement.js is a classic script for the AR pages; outside a browser it
+// registers itself on globalThis (no A-Frame, so only the core loads)
+let createPlacement;
+beforeAll(async () => {
+  await import("../public/ar/placement.js");
+  ({ createPlacement } = globalThis.UnwrittenPlacement);
+});
+
+// Just enough of XRSession/XRFrame for createPlacement: hit-test results
+// come from `hits`, which a test changes between frames
+function fakeXr({ hitTest = true } = {}) {
+  const listeners = new Map();
+  const source = { cancel: vi.fn() };
+  const xr = {
+    hits: [],
+    source,
+    session: {
+      requestReferenceSpace: vi.fn(async () => ({ kind: "viewer" })),
+      addEventListener: (type, fn) => listeners.set(type, fn),
+      removeEventListener: (type, fn) => {
+        if (listeners.get(type) === fn) listeners.delete(type);
+      },
+      dispatch: (type) => listeners.get(type)?.(),
+      listeners,
+    },
+    frame: {
+      getHitTestResults: (s) => (s === source ? xr.hits : []),
+    },
+  };
+  if (hitTest) xr.session.requestHitTestSource = vi.fn(async () => source);
+  return xr;
+}
+
+const hitAt = (x, y, z) => ({
+  getPose: () => ({
+    transform: {
+      position: { x, y, z, w: 1 },
+      orientation: { x: 0, y: 0, z: 0, w: 1 },
+    },
+  }),
+});
+
+const setup = (opts) => {
+  const onReticle = vi.fn();
+  const onPlace = vi.fn();
+  const fallback = vi.fn(() => ({ x: 0, y: 0, z: -0.9 }));
+  const placement = createPlacement({ onReticle, onPlace, fallback });
+  return { xr: fakeXr(opts), placement, onReticle, onPlace, fallback };
+};
+
+describe("createPlacement", () => {
+  it("moves the reticle with hit-test results and places on them", async () => {
+    const { xr, placement, onReticle, onPlace, fallback } = setup();
+    expect(await placement.start(xr.session, {})).toBe(true);
+    expect(placement.hasHitTest).toBe(true);
+
+    xr.hits = [hitAt(1, 0, -2)];
+    placement.update(xr.frame);
+    expect(onReticle).toHaveBeenLastCalledWith({
+      position: { x: 1, y: 0, z: -2 },
+      orientation: { x: 0, y: 0, z: 0, w: 1 },
+    });
+
+    placement.select();
+    expect(onPlace).toHaveBeenCalledWith(
+      { x: 1, y: 0, z: -2 },
+      { x: 0, y: 0, z: 0, w: 1 },
+      true
+    );
+    expect(fallback).not.toHaveBeenCalled();
+  });
+
+  it("places on the session's select event", async () => {
+    const { xr, placement, onPlace } = setup();
+    await placement.start(xr.session, {});
+    xr.hits = [hitAt(0, 1, 0)];
+    placement.update(xr.frame);
+    xr.session.dispatch("select");
+    expect(onPlace).toHaveBeenCalledWith(
+      { x: 0, y: 1, z: 0 },
+      expect.any(Object),
+      true
+    );
+  });
+
+  it("hides the reticle once surfaces are lost, then falls back", async () => {
+    const { xr, placement, onReticle, onPlace } = setup();
+    await placement.start(xr.session, {});
+    xr.hits = [hitAt(1, 0, -2)];
+    placement.update(xr.frame);
+    xr.hits = [];
+    placement.update(xr.frame);
+    expect(onReticle).toHaveBeenLastCalledWith(null);
+    expect(placement.lastHit).toBe(null);
+
+    placement.select();
+    expect(onPlace).toHaveBeenCalledWith({ x: 0, y: 0, z: -0.9 }, null, false);
+  });
+
+  it("doesn't report an empty reticle over and over", async () => {
+    const { xr, placement, onReticle } = setup();
+    await placement.start(xr.session, {});
+    placement.update(xr.frame);
+    placement.update(xr.frame);
+    expect(onReticle).not.toHaveBeenCalled();
+  });
+
+  it("falls back when the session has no hit-test", async () => {
+    const { xr, placement, onPlace } = setup({ hitTest: false });
+    expect(await placement.start(xr.session, {})).toBe(false);
+    expect(placement.hasHitTest).toBe(false);
+    placement.update(xr.frame);
+    placement.select();
+    expect(onPlace).toHaveBeenCalledWith({ x: 0, y: 0, z: -0.9 }, null, false);
+  });
+
+  it("falls back when hit-test isn't granted", async () => {
+    const { xr, placement, onPlace } = setup();
+    xr.session.requestHitTestSource.mockRejectedValue(
+      new DOMException("not granted", "NotSupportedError")
+    );
+    expect(await placement.start(xr.session, {})).toBe(false);
+    placement.select();
+    expect(onPlace).toHaveBeenCalledWith({ x: 0, y: 0, z: -0.9 }, null, false);
+  });
+
+  it("places nothing when there is no fallback position", async () => {
+    const onPlace = vi.fn();
+    const placement = createPlacement({ onPlace, fallback: () => null });
+    placement.select();
+    expect(onPlace).not.toHaveBeenCalled();
+  });
+
+  it("stop() cancels the source and detaches from the session", async () => {
+    const { xr, placement, onReticle } = setup();
+    await placement.start(xr.session, {});
+    xr.hits = [hitAt(1, 0, -2)];
+    placement.update(xr.frame);
+    placement.stop();
+    expect(xr.source.cancel).toHaveBeenCalled();
+    expect(xr.session.listeners.has("select")).toBe(false);
+    expect(placement.hasHitTest).toBe(false);
+    expect(onReticle).toHaveBeenLastCalledWith(null);
+  });
+});
@@ -0,0 +1,118 @@
+import { describe, expect, it } from "vitest";
+import { isValidRoomId, parseQrPayload, roomLink } from "../src/qrPayload";
+
+const ORIGIN = "https://unwritten.example";
+const parse = (raw) => parseQrPayload(raw, ORIGIN);
+
+describe("parseQrPayload", () => {
+  it("refuses schemes other than http(s)", () => {
+    for (const raw of [
+      "javascript:alert(1)",
+      "data:text/html,<script>alert(1)</script>",
+      "file:///etc/passwd",
+      "mailto:someone@example.com",
+      "intent://scan#Intent;end",
+    ])
+      expect(parse(raw)).toEqual({ kind: "unsupported", raw });
+  });
+
+  it("refuses empty codes and plain text", () => {
+    expect(parse("")).toEqual({ kind: "unsupported", raw: "" });
+    expect(parse(null)).toEqual({ kind: "unsupported", raw: "" });
+    expect(parse("hello there")).toEqual({
+      kind: "unsupported",
+      raw: "hello there",
+    });
+  });
+
+  it("leaves links to other sites for the user to confirm", () => {
+    expect(parse("https://example.com/room/demo-room")).toEqual({
+      kind: "external",
+      url: "https://example.com/room/demo-room",
+    });
+    // same host, other scheme or port: another origin
+    expect(parse("http://unwritten.example/room/demo-room").kind).toBe(
+      "external"
+    );
+    expect(parse("https://unwritten.example:8443/room/a").kind).toBe(
+      "external"
+    );
+  });
+
+  it("opens rooms linked on this site", () => {
+    expect(parse(`${ORIGIN}/room/demo-room`)).toEqual({
+      kind: "room",
+      roomId: "demo-room",
+    });
+    // any screen of the room opens the room
+    expect(parse(`${ORIGIN}/room/demo-room/gallery`)).toEqual({
+      kind: "room",
+      roomId: "demo-room",
+    });
+  });
+
+  it("opens experiences linked on this site", () => {
+    expect(parse(`  ${ORIGIN}/room/demo-room/experience/abc123  `)).toEqual({
+      kind: "experience",
+      roomId: "demo-room",
+      experienceId: "abc123",
+    });
+  });
+
+  it("understands the older ?room=&exp= links", () => {
+    expect(parse(`${ORIGIN}/?room=demo-room`)).toEqual({
+      kind: "room",
+      roomId: "demo-room",
+    });
+    expect(parse(`${ORIGIN}/?room=demo-room&exp=abc123`)).toEqual({
+      kind: "experience",
+      roomId: "demo-room",
+      experienceId: "abc123",
+    });
+  });
+
+  it("takes a bare room ID", () => {
+    expect(parse("hirosquare-01")).toEqual({
+      kind: "room",
+      roomId: "hirosquare-01",
+    });
+  });
+
+  it("refuses links to rooms with invalid IDs", () => {
+    for (const path of [
+      "/room/bad%20room",
+      "/room/%2Fetc",
+      "/room/-leading",
+      `/room/${"x".repeat(65)}`,
+      "/?room=a.b",
+      "/scan",
+      "/",
+    ])
+      expect(parse(ORIGIN + path).kind).toBe("unsupported");
+  });
+
+  it("reads back the links it makes", () => {
+    expect(parse(roomLink("demo-room", null, ORIGIN))).toEqual({
+      kind: "room",
+      roomId: "demo-room",
+    });
+    expect(parse(roomLink("demo-room", "e1", ORIGIN))).toEqual({
+      kind: "experience",
+      roomId: "demo-room",
+      experienceId: "e1",
+    });
+  });
+});
+
+describe("isValidRoomId", () => {
+  it("takes letters, numbers, - and _ up to 64 characters", () => {
+    expect(isValidRoomId("demo-room")).toBe(true);
+    expect(isValidRoomId("Room_2")).toBe(true);
+    expect(isValidRoomId("x".repeat(64))).toBe(true);
+    expect(isValidRoomId("x".repeat(65))).toBe(false);
+    expect(isValidRoomId("_hidden")).toBe(false);
+    expect(isValidRoomId("a/b")).toBe(false);
+    expect(isValidRoomId("")).toBe(false);
+    expect(isValidRoomId(undefined)).toBe(false);
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, expect, it, vi } from "vitest";
+
+vi.mock("../src/backend", async () => {
+  const { createLocalBackend } = await import("../src/backend/local");
+  return { backend: createLocalBackend({ persist: false }) };
+});
+
+const { backend } = await import("../src/backend");
+const { createRoom, joinRoom, updateRoom } = await import("../src/rooms");
+
+const member = (roomId, uid) => backend.get("roomMembers", `${roomId}_${uid}`);
+const secret = (roomId) => backend.get("roomSecrets", roomId);
+
+describe("access codes", () => {
+  it("let visitors with the code join, without storing it", async () => {
+    await createRoom(
+      "garden",
+      { visibility: "private" },
+      { accessCode: "tulip-bed", uid: "owner" }
+    );
+    await expect(joinRoom("garden", "v1", "rose-bed")).rejects.toThrow(
+      "That code doesn't open this room."
+    );
+    await expect(joinRoom("garden", "v1", "")).rejects.toThrow();
+
+    await joinRoom("garden", "v1", "tulip-bed");
+    const m = await member("garden", "v1");
+    expect(m).not.toHaveProperty("accessCode");
+    expect(JSON.stringify(m)).not.toContain("tulip-bed");
+    expect(m.codeVersion).toBe((await secret("garden")).codeVersion);
+    expect(m.accessRevision).toBe(
+      (await backend.get("rooms", "garden")).accessRevision
+    );
+  });
+
+  it("stop working once the code changes", async () => {
+    await createRoom(
+      "atrium",
+      { visibility: "private" },
+      { accessCode: "old/code", uid: "owner" }
+    );
+    await joinRoom("atrium", "v1", "old/code");
+    const before = await backend.get("rooms", "atrium");
+
+    await updateRoom("atrium", { title: "Atrium" }, { accessCode: "new-code" });
+    const room = await backend.get("rooms", "atrium");
+    expect(room.title).toBe("Atrium");
+    expect(room.accessRevision).not.toBe(before.accessRevision);
+    expect((await member("atrium", "v1")).codeVersion).not.toBe(
+      (await secret("atrium")).codeVersion
+    );
+    await expect(joinRoom("atrium", "v2", "old/code")).rejects.toThrow();
+    await joinRoom("atrium", "v2", "new-code");
+  });
+
+  it("stay put when the room is saved with the same code", async () => {
+    await createRoom(
+      "porch",
+      { visibility: "private" },
+      { accessCode: "same-code", uid: "owner" }
+    );
+    const { codeVersion } = await secret("porch");
+    const { accessRevision } = await backend.get("rooms", "porch");
+    await updateRoom("porch", { title: "Porch" }, { accessCode: "same-code" });
+    expect((await secret("porch")).codeVersion).toBe(codeVersion);
+    expect((await backend.get("rooms", "porch")).accessRevision).toBe(
+      accessRevision
+    );
+  });
+
+  it("are long enough and usable as document IDs", async () => {
+    for (const accessCode of ["abc", "12345", "..", "__all__"])
+      await expect(
+        createRoom("shed", { visibility: "private" }, { accessCode, uid: "o" })
+      ).rejects.toThrow();
+    expect(await backend.get("rooms", "shed")).toBe(null);
+
+    await createRoom(
+      "shed",
+      { visibility: "private" },
+      { accessCode: "potting", uid: "owner" }
+    );
+    await expect(
+      updateRoom("shed", {}, { accessCode: "pots" })
+    ).rejects.toThrow("at least 6 characters");
+    expect((await secret("shed")).accessCode).toBe("potting");
+  });
+
+  it("can be removed", async () => {
+    await createRoom(
+      "loft",
+      { visibility: "private" },
+      { accessCode: "upstairs", uid: "owner" }
+    );
+    await updateRoom("loft", {}, { accessCode: "" });
+    expect((await secret("loft")).codeVersion).toBe(null);
+    await expect(joinRoom("loft", "v1", "upstairs")).rejects.toThrow();
+  });
+});
@@ -0,0 +1,111 @@
+import { describe, expect, it } from "vitest";
+import { SCREENS, parseRoute, routePath } from "../src/router";
+
+const route = (extra) => ({
+  screen: SCREENS.HOME,
+  roomId: "",
+  experienceId: null,
+  clipId: null,
+  ...extra,
+});
+
+const roundTrip = (r) => {
+  const url = new URL(routePath(r), "https://unwritten.example");
+  return parseRoute(url.pathname, url.search);
+};
+
+describe("routes", () => {
+  it("round-trip every screen of a room", () => {
+    for (const screen of Object.values(SCREENS)) {
+      const r = route({
+        screen,
+        roomId: "demo-room",
+        ...(screen === SCREENS.IMMERSIVE && { experienceId: "e1" }),
+        ...(screen === SCREENS.CLIP && { clipId: "c1" }),
+      });
+      expect(roundTrip(r)).toEqual(r);
+    }
+  });
+
+  it("give each screen its own path", () => {
+    const paths = Object.values(SCREENS).map((screen) =>
+      routePath({ screen, roomId: "r" })
+    );
+    // CLIP without a clip is the room's HOME
+    expect(new Set(paths).size).toBe(paths.length - 1);
+    expect(routePath({ screen: SCREENS.GALLERY, roomId: "r" })).toBe(
+      "/room/r/gallery"
+    );
+    expect(routePath({ screen: SCREENS.CREATE_EXPERIENCE, roomId: "r" })).toBe(
+      "/room/r/experiences/new"
+    );
+  });
+
+  it("keep the experiences list apart from one open experience", () => {
+    const list = route({ screen: SCREENS.IMMERSIVE, roomId: "r" });
+    expect(routePath(list)).toBe("/room/r/experiences");
+    expect(roundTrip(list)).toEqual(list);
+    expect(parseRoute("/room/r/experience/e1")).toEqual(
+      route({ screen: SCREENS.IMMERSIVE, roomId: "r", experienceId: "e1" })
+    );
+  });
+
+  it("round-trip the screens that need no room", () => {
+    for (const [screen, path] of [
+      [SCREENS.SCAN, "/scan"],
+      [SCREENS.MINE, "/mine"],
+      [SCREENS.CREATE_ROOM, "/rooms/new"],
+    ]) {
+      expect(routePath(route({ screen }))).toBe(path);
+      expect(parseRoute(path)).toEqual(route({ screen }));
+    }
+  });
+
+  it("send room screens without a room home", () => {
+    expect(routePath(route({ screen: SCREENS.GALLERY }))).toBe("/");
+    expect(parseRoute("/gallery")).toEqual(route());
+    expect(parseRoute("/room")).toEqual(route());
+    expect(parseRoute("/nowhere/at/all")).toEqual(route());
+  });
+
+  it("treat unknown room screens as the room's HOME", () => {
+    expect(parseRoute("/room/r/nowhere")).toEqual(route({ roomId: "r" }));
+    expect(parseRoute("/room/r/clip")).toEqual(route({ roomId: "r" }));
+  });
+
+  it("encode IDs, slashes included", () => {
+    const r = route({
+      screen: SCREENS.IMMERSIVE,
+      roomId: "a/b",
+      experienceId: "x y/z",
+    });
+    expect(routePath(r)).toBe("/room/a%2Fb/experience/x%20y%2Fz");
+    expect(roundTrip(r)).toEqual(r);
+    expect(parseRoute("/room/a%2Fb/clip/c%2F1")).toEqual(
+      route({ screen: SCREENS.CLIP, roomId: "a/b", clipId: "c/1" })
+    );
+  });
+
+  it("ignore IDs with bad escapes", () => {
+    expect(parseRoute("/room/%E0%A4%A/gallery")).toEqual(route());
+    expect(parseRoute("/room/r/experience/%zz")).toEqual(
+      route({ roomId: "r" })
+    );
+    expect(parseRoute("/room/r/clip/%")).toEqual(route({ roomId: "r" }));
+  });
+
+  it("read the older ?room=&exp= links", () => {
+    expect(parseRoute("/", "?room=demo-room")).toEqual(
+      route({ roomId: "demo-room" })
+    );
+    expect(parseRoute("/", "?room=demo-room&exp=e1")).toEqual(
+      route({
+        screen: SCREENS.IMMERSIVE,
+        roomId: "demo-room",
+        experienceId: "e1",
+      })
+    );
+    // an experience needs its room
+    expect(parseRoute("/", "?exp=e1")).toEqual(route());
+  });
+});
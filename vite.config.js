@@ -7,4 +7,7 @@ export default defineConfig({
     host: true, // allows phone to open via public URL
     port: 5173,
   },
+  test: {
+    include: ["test/*.test.js"],
+  },
 });
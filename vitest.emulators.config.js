@@ -0,0 +1,17 @@
+import { defineConfig } from "vitest/config";
+
+// Specs that need the Firebase emulators (firebase.json). Run through
+// `npm run test:emulators`, which starts them with `firebase emulators:exec`
+// and sets FIRESTORE_EMULATOR_HOST & co. for the specs.
+export default defineConfig({
+  test: {
+    include: ["test/emulator/*.test.js"],
+    // The specs share one emulated project, so one file at a time
+    threads: false,
+    testTimeout: 20000,
+    env: {
+      VITE_BACKEND: "firebase",
+      VITE_USE_EMULATORS: "true",
+    },
+  },
+});